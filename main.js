@@ -1,45 +1,125 @@
-const { EditorSuggest, MarkdownRenderer, MarkdownView, Plugin } = require("obsidian");
+const {
+  EditorSuggest,
+  Events,
+  FuzzySuggestModal,
+  HoverPopover,
+  ItemView,
+  MarkdownRenderer,
+  MarkdownView,
+  Modal,
+  Notice,
+  Plugin,
+  PluginSettingTab,
+  Setting,
+  SuggestModal,
+  debounce,
+  editorInfoField,
+  editorLivePreviewField
+} = require("obsidian");
 
 let RangeSetBuilder = null;
 let Decoration = null;
 let ViewPlugin = null;
+let WidgetType = null;
+let hoverTooltip = null;
+let syntaxTree = null;
 
 try {
   ({ RangeSetBuilder } = require("@codemirror/state"));
-  ({ Decoration, ViewPlugin } = require("@codemirror/view"));
+  ({ Decoration, ViewPlugin, WidgetType, hoverTooltip } = require("@codemirror/view"));
+  ({ syntaxTree } = require("@codemirror/language"));
 } catch (_error) {
   // Keep plugin functional even if editor extension modules cannot be loaded.
 }
 
-const PREFIX_FRAGMENT = "(?:eq|fig|thm|lem|cor|prp|cnj|def|exm|exr|sol|rem|alg)";
-const THEOREM_PREFIX_FRAGMENT = "(?:thm|lem|cor|prp|cnj|def|exm|exr|sol|rem|alg)";
-const LABEL_FRAGMENT = `${PREFIX_FRAGMENT}-[A-Za-z0-9_-]+`;
+const BUILTIN_LABEL_PREFIXES = ["eq", "fig", "tbl", "lst", "sec"];
+const CUSTOM_THEOREM_PREFIX_PATTERN = /^[a-z][a-z0-9]*$/;
+// A qualified reference names its note bare (`@chapter2#eq-x`) or, when the name has spaces or
+// other characters that would end it, in double quotes (`@"Chapter 2"#eq-x`).
+const BARE_NOTE_PATH_FRAGMENT = "[^\\s@#()\\[\\]{}<>\"'`,;]+";
+const NOTE_PATH_FRAGMENT = `(?:"[^"@#;\\n]+"|${BARE_NOTE_PATH_FRAGMENT})`;
+const BARE_NOTE_PATH_PATTERN = new RegExp(`^${BARE_NOTE_PATH_FRAGMENT}$`);
 const DEBUG_NOTE_BASENAME = "test.md";
 const DEBUG_LOG_RELATIVE_PATH = "plugins/obsidian-crossref-preview/debug.log";
 
-const REF_PATTERN = new RegExp(`@(${LABEL_FRAGMENT})`, "g");
-const LABEL_TOKEN_PATTERN = new RegExp(`\\{#(${LABEL_FRAGMENT})\\}`, "g");
+const REF_GROUP_PATTERN = /\[([^[\]\n]*@[^[\]\n]*)\]/g;
 const NATIVE_FLASH_SUPPRESS_CLASS = "crossref-suppress-native-flash";
 const NATIVE_FLASH_SUPPRESS_DURATION_MS = 1600;
 const TARGET_FLASH_DURATION_MS = 1200;
 const FALLBACK_NAV_RENDER_WAIT_MS = 90;
+const HOVER_PREVIEW_DELAY_MS = 300;
+const SECTION_PREVIEW_MAX_LINES = 12;
+const HEADING_LINE_PATTERN = /^\s{0,3}#{1,6}\s/;
+const CROSS_FILE_SCOPE_VAULT = "vault";
+const CROSS_FILE_SCOPE_FOLDER = "folder";
+const DEFAULT_CROSS_FILE_SCOPE = CROSS_FILE_SCOPE_VAULT;
 const EQUATION_LABEL_ONLY_PATTERN = /^\{#(eq-[A-Za-z0-9_-]+)\}$/;
 const EQUATION_FENCE_CLOSE_PATTERN = /^\$\$\s*(?:\{#(eq-[A-Za-z0-9_-]+)\})?\s*$/;
 const EQUATION_SINGLE_LINE_PATTERN = /^\$\$.*\$\$\s*(?:\{#(eq-[A-Za-z0-9_-]+)\})?\s*$/;
-const THEOREM_START_PATTERN = new RegExp(
-  `^:::\\s*\\{#(${THEOREM_PREFIX_FRAGMENT}-[A-Za-z0-9_-]+)\\}\\s*$`
-);
-const THEOREM_START_PREFIX_PATTERN = new RegExp(
-  `^:::\\s*\\{#(${THEOREM_PREFIX_FRAGMENT}-[A-Za-z0-9_-]+)\\}`
-);
 const THEOREM_END_PATTERN = /^:::\s*$/;
-
-const CM_REF_PATTERN = new RegExp(`@${LABEL_FRAGMENT}`, "g");
-const CM_LABEL_PATTERN = new RegExp(`\\{#${LABEL_FRAGMENT}\\}`, "g");
+const DIV_CLOSE_PATTERN = /^:::+\s*$/;
+const DIV_OPEN_PATTERN = /^:::+\s*\S/;
+const PROOF_START_PATTERN =
+  /^:::+\s*(?:\{\.(proof|remark|solution)((?:\s[^}]*)?)\}|(proof|remark|solution))\s*$/;
+const TABLE_DELIMITER_ROW_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const TABLE_CAPTION_PATTERN = /^\s*(?:Table)?:(?!:)\s*(.*?)\s*\{#(tbl-[A-Za-z0-9_-]+)(?:\s[^}]*)?\}\s*$/;
+const TABLE_DIV_START_PATTERN = /^:::+\s*\{#(tbl-[A-Za-z0-9_-]+)(?:\s[^}]*)?\}\s*$/;
+const TABLE_CAPTION_PARAGRAPH_PATTERN = /^(?:Table)?:\s/;
+const CODE_FENCE_OPEN_PATTERN = /^(\s*)(`{3,}|~{3,})\s*(.*?)\s*$/;
+const BLOCKQUOTE_PREFIX_PATTERN = /^(?:[ \t]{0,3}>[ \t]?)*/;
+const LIST_MARKER_PATTERN = /^[ \t]*(?:[-+*]|\d{1,9}[.)])[ \t]+/;
+const LISTING_ATTRIBUTE_LABEL_PATTERN = /(?:^|\s|\{)#(lst-[A-Za-z0-9_-]+)/;
+const LISTING_ATTRIBUTE_CAPTION_PATTERN = /lst-cap\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+))/;
+const LISTING_OPTION_LINE_PATTERN = /^\s*(?:#|\/\/|--|%%)\|/;
+const LISTING_OPTION_PATTERN = /^\s*(?:#|\/\/|--|%%)\|\s*(lst-label|lst-cap)\s*:\s*(.*?)\s*$/;
+const FIGURE_DIV_START_PATTERN = /^:::+\s*\{#(fig-[A-Za-z0-9_-]+)((?:\s[^}]*)?)\}\s*$/;
+const FIGURE_IMAGE_PATTERN =
+  /(?:!\[\[([^\]]+)\]\]|!\[((?:[^[\]]|\[[^[\]]*\])*)\]\(([^)]+)\))(?:\s*\{#(fig-[A-Za-z0-9_-]+)(?:\s[^}]*)?\})?/g;
+const DEFAULT_SUBREF_STYLE = "alpha a";
+const SECTION_LABEL_PATTERN = /\s*\{#(sec-[A-Za-z0-9_-]+)(?:\s[^}]*)?\}\s*$/;
+
+const CM_CODE_NODE_PATTERN = /code|math/i;
+const EDITOR_BADGE_KINDS = new Set(["equation", "figure", "table", "listing", "theorem"]);
+const INLINE_CODE_PATTERN = /(`+).*?\1/g;
+const INLINE_MATH_PATTERN = /\$[^$\n]*\$/g;
+const MAX_CREATE_LABEL_MENU_ITEMS = 5;
+const DIAGNOSTICS_VIEW_TYPE = "crossref-diagnostics";
+const DIAGNOSTICS_SCOPE_NOTE = "note";
+const DIAGNOSTICS_SCOPE_VAULT = "vault";
+const BACKLINK_SNIPPET_RADIUS = 80;
+const OUTLINE_VIEW_TYPE = "crossref-outline";
+const OUTLINE_REFRESH_DELAY_MS = 300;
+const EDITOR_REINDEX_DELAY_MS = 250;
+const SETTINGS_SAVE_DELAY_MS = 500;
+const NOTE_STRUCTURE_CACHE_SIZE = 8;
+const API_VERSION = 1;
+const LABEL_SLUG_MAX_WORDS = 4;
+const INDEX_CHANGED_EVENT = "index-changed";
+const OUTLINE_GROUP_TITLES = {
+  equation: "Equations",
+  figure: "Figures",
+  table: "Tables",
+  listing: "Listings",
+  section: "Sections",
+  theorem: "Theorems"
+};
+const DIAGNOSTIC_DUPLICATE_LABEL = "duplicate-label";
+const DIAGNOSTIC_UNRESOLVED_REFERENCE = "unresolved-reference";
+const DIAGNOSTIC_INVALID_LABEL = "invalid-label";
+const DIAGNOSTIC_UNUSED_LABEL = "unused-label";
+const DIAGNOSTIC_SEVERITIES = {
+  [DIAGNOSTIC_DUPLICATE_LABEL]: "error",
+  [DIAGNOSTIC_UNRESOLVED_REFERENCE]: "error",
+  [DIAGNOSTIC_INVALID_LABEL]: "warning",
+  [DIAGNOSTIC_UNUSED_LABEL]: "info"
+};
 
 const LABEL_PREFIX_ITEMS = [
   { prefix: "eq-", desc: "Equation label" },
   { prefix: "fig-", desc: "Figure label" },
+  { prefix: "tbl-", desc: "Table label" },
+  { prefix: "lst-", desc: "Code listing label" },
+  { prefix: "sec-", desc: "Section label" },
   { prefix: "thm-", desc: "Theorem label" },
   { prefix: "lem-", desc: "Lemma label" },
   { prefix: "cor-", desc: "Corollary label" },
@@ -67,6 +147,168 @@ const THEOREM_TITLES = {
   alg: "Algorithm"
 };
 
+function normalizeCustomTheorems(entries) {
+  const seen = new Set(BUILTIN_LABEL_PREFIXES.concat(Object.keys(THEOREM_TITLES)));
+  const result = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const prefix = entry && typeof entry.prefix === "string" ? entry.prefix.trim() : "";
+    if (!CUSTOM_THEOREM_PREFIX_PATTERN.test(prefix) || seen.has(prefix)) {
+      continue;
+    }
+    seen.add(prefix);
+    result.push({
+      prefix,
+      name: (typeof entry.name === "string" && entry.name.trim()) || prefix,
+      counter: typeof entry.counter === "string" ? entry.counter.trim() : "",
+      cssClass: typeof entry.cssClass === "string" ? entry.cssClass.replace(/[^A-Za-z0-9_ -]/g, "").trim() : ""
+    });
+  }
+
+  // Counters may only point at a known theorem prefix; anything else numbers on its own.
+  return result.map((entry) => {
+    const known = entry.counter === "" || seen.has(entry.counter);
+    return known && !BUILTIN_LABEL_PREFIXES.includes(entry.counter) ? entry : Object.assign(entry, { counter: "" });
+  });
+}
+
+// Returns why `prefix` cannot name a custom environment, or "" when it can.
+function validateCustomTheoremPrefix(prefix, otherPrefixes) {
+  if (!CUSTOM_THEOREM_PREFIX_PATTERN.test(prefix)) {
+    return `"${prefix}" is not a prefix: start with a lowercase letter and use only letters and digits.`;
+  }
+  if (BUILTIN_LABEL_PREFIXES.includes(prefix) || prefix in THEOREM_TITLES) {
+    return `"${prefix}-" is a built-in prefix.`;
+  }
+  if (otherPrefixes.includes(prefix)) {
+    return `"${prefix}-" is already used by another environment.`;
+  }
+  return "";
+}
+
+// Label and reference patterns for one set of theorem prefixes: the built-in ones plus the
+// custom environments. The plugin compiles them from its settings; parsers take them as an
+// argument (block structures keep theirs) and default to the built-in prefixes.
+function compileLabelPatterns(customTheorems = []) {
+  const theoremPrefixes = Object.keys(THEOREM_TITLES).concat(customTheorems.map((entry) => entry.prefix));
+  const theoremPrefixFragment = `(?:${theoremPrefixes.join("|")})`;
+  const prefixFragment = `(?:${BUILTIN_LABEL_PREFIXES.concat(theoremPrefixes).join("|")})`;
+  const labelFragment = `${prefixFragment}-[A-Za-z0-9_-]+`;
+  const refLabelFragment = `${prefixFragment.replace(
+    /\b([a-z])/g,
+    (letter) => `[${letter}${letter.toUpperCase()}]`
+  )}-[A-Za-z0-9_-]+`;
+
+  return Object.freeze({
+    theoremPrefixes: Object.freeze(theoremPrefixes),
+    reference: new RegExp(
+      `(?<![A-Za-z0-9_])(-?)@(?:(${NOTE_PATH_FRAGMENT})#)?(${refLabelFragment})`,
+      "g"
+    ),
+    referenceGroupItem: new RegExp(
+      `^([^@]*?)\\s*(-?)@(?:(${NOTE_PATH_FRAGMENT})#)?(${refLabelFragment})([^@]*)$`
+    ),
+    labelToken: new RegExp(`\\{#(${labelFragment})(?:\\s[^}]*)?\\}`, "g"),
+    labelCandidate: new RegExp(`\\{#(${prefixFragment}-[^\\s}]*)`, "g"),
+    labelExact: new RegExp(`^${labelFragment}$`),
+    labelDefinition: new RegExp(`(?:#|lst-label:\\s*)(${labelFragment})(?![A-Za-z0-9_-])`, "g"),
+    theoremStart: new RegExp(`^:::\\s*\\{#(${theoremPrefixFragment}-[A-Za-z0-9_-]+)\\}\\s*$`),
+    theoremStartPrefix: new RegExp(`^:::\\s*\\{#(${theoremPrefixFragment}-[A-Za-z0-9_-]+)\\}`)
+  });
+}
+
+const DEFAULT_LABEL_PATTERNS = compileLabelPatterns();
+
+const THEOREM_NAME_PRESETS = {
+  en: THEOREM_TITLES,
+  zh: {
+    thm: "定理",
+    lem: "引理",
+    cor: "推论",
+    prp: "命题",
+    cnj: "猜想",
+    def: "定义",
+    exm: "例",
+    exr: "习题",
+    sol: "解",
+    rem: "注",
+    alg: "算法"
+  }
+};
+
+const PROOF_TITLES = {
+  proof: "Proof",
+  remark: "Remark",
+  solution: "Solution"
+};
+
+const PROOF_NAME_PRESETS = {
+  en: PROOF_TITLES,
+  zh: {
+    proof: "证明",
+    remark: "注",
+    solution: "解"
+  }
+};
+
+const PROOF_OF_TEMPLATE_PRESETS = {
+  en: "{name} of {target}",
+  zh: "{target}的{name}"
+};
+
+const DESCRIPTOR_KINDS = ["equation", "figure", "table", "listing", "section", "theorem"];
+const CAPTIONED_KINDS = ["equation", "figure", "table", "listing", "theorem"];
+
+const NUMBERING_MODE_FLAT = "flat";
+const NUMBERING_MODE_CHAPTER = "chapter";
+const NUMBERING_MODE_SECTION = "section";
+const MAX_HEADING_LEVEL = 6;
+const THEOREM_COUNTER_PER_PREFIX = "prefix";
+const THEOREM_COUNTER_SHARED = "shared";
+const THEOREM_COUNTER_GROUPS = "groups";
+const THEOREM_SHARED_COUNTER_NAME = "theorem";
+const THEOREM_NUMBER_WITHIN_DEFAULT = "default";
+const THEOREM_NUMBER_WITHIN_NONE = "none";
+
+const DEFAULT_SETTINGS = {
+  crossFileScope: DEFAULT_CROSS_FILE_SCOPE,
+  referenceTemplates: {
+    equation: "({number})",
+    figure: "Figure {number}",
+    table: "Table {number}",
+    listing: "Listing {number}",
+    section: "Section {number}",
+    theorem: "{name} {number}"
+  },
+  captionTemplates: {
+    equation: "({number})",
+    figure: "Figure {number}",
+    table: "Table {number}",
+    listing: "Listing {number}",
+    section: "{number}",
+    theorem: "{name} {number}"
+  },
+  theoremNames: Object.assign({}, THEOREM_TITLES),
+  customTheorems: [],
+  proofNames: Object.assign({}, PROOF_TITLES),
+  proofOfTemplate: PROOF_OF_TEMPLATE_PRESETS.en,
+  linkProofs: true,
+  qedSymbol: "∎",
+  titleDelim: ".",
+  captionDelim: ":",
+  numberingMode: NUMBERING_MODE_FLAT,
+  numberingDepth: 2,
+  theoremCounterScheme: THEOREM_COUNTER_PER_PREFIX,
+  theoremCounterGroups: "",
+  theoremNumberWithin: THEOREM_NUMBER_WITHIN_DEFAULT,
+  smoothScroll: true,
+  flashTarget: true,
+  flashDurationMs: TARGET_FLASH_DURATION_MS,
+  hoverPreview: true,
+  reportUnusedLabels: true,
+  debugLogging: false,
+  debugNoteName: DEBUG_NOTE_BASENAME
+};
+
 function fastHash(text) {
   let hash = 2166136261;
   for (let i = 0; i < text.length; i += 1) {
@@ -106,2047 +348,6423 @@ function offsetToLine(lineOffsets, offset) {
   return Math.max(0, right);
 }
 
-function descriptorDisplay(descriptor) {
-  if (!descriptor) {
-    return "";
+function mergeSettings(saved) {
+  const data = saved && typeof saved === "object" ? saved : {};
+  return Object.assign({}, DEFAULT_SETTINGS, data, {
+    referenceTemplates: Object.assign(
+      {},
+      DEFAULT_SETTINGS.referenceTemplates,
+      data.referenceTemplates
+    ),
+    captionTemplates: Object.assign({}, DEFAULT_SETTINGS.captionTemplates, data.captionTemplates),
+    theoremNames: Object.assign({}, DEFAULT_SETTINGS.theoremNames, data.theoremNames),
+    proofNames: Object.assign({}, DEFAULT_SETTINGS.proofNames, data.proofNames),
+    customTheorems: Array.isArray(data.customTheorems)
+      ? data.customTheorems.map((entry) => Object.assign({}, entry))
+      : []
+  });
+}
+
+function toRomanNumeral(value) {
+  const numerals = [
+    [1000, "M"],
+    [900, "CM"],
+    [500, "D"],
+    [400, "CD"],
+    [100, "C"],
+    [90, "XC"],
+    [50, "L"],
+    [40, "XL"],
+    [10, "X"],
+    [9, "IX"],
+    [5, "V"],
+    [4, "IV"],
+    [1, "I"]
+  ];
+
+  let remaining = value;
+  let result = "";
+  for (const [amount, numeral] of numerals) {
+    while (remaining >= amount) {
+      result += numeral;
+      remaining -= amount;
+    }
   }
+  return result;
+}
+
+function toAlphaNumeral(value, startLetter) {
+  const isUpper = startLetter === startLetter.toUpperCase();
+  const base = isUpper ? 65 : 97;
+  let index = startLetter.charCodeAt(0) - base + value - 1;
+  let result = "";
+  do {
+    result = String.fromCharCode(base + (index % 26)) + result;
+    index = Math.floor(index / 26) - 1;
+  } while (index >= 0);
+  return result;
+}
 
-  if (descriptor.kind === "equation") {
-    return `(${descriptor.number})`;
+function formatNumberStyle(value, style) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    return String(value);
   }
 
-  if (descriptor.kind === "figure") {
-    return `Figure ${descriptor.number}`;
+  const normalized = String(style || "arabic").trim();
+  if (normalized === "roman") {
+    return toRomanNumeral(number);
+  }
+  if (normalized === "roman i") {
+    return toRomanNumeral(number).toLowerCase();
   }
 
-  const theoremName = THEOREM_TITLES[descriptor.prefix] || "Theorem";
-  return `${theoremName} ${descriptor.number}`;
+  const alphaMatch = normalized.match(/^alpha\s+([A-Za-z])$/);
+  if (alphaMatch) {
+    return toAlphaNumeral(number, alphaMatch[1]);
+  }
+  return String(number);
 }
 
-function normalizeText(element) {
-  return (element.textContent || "").replace(/\u200b/g, "").trim();
+function defaultTheoremName(format, prefix) {
+  const custom = (format.customTheorems || []).find((entry) => entry && entry.prefix === prefix);
+  return (custom && custom.name) || THEOREM_TITLES[prefix] || "Theorem";
 }
 
-function shortText(value, limit = 120) {
-  const text = String(value || "").replace(/\s+/g, " ").trim();
-  if (text.length <= limit) {
-    return text;
+function resolveDescriptorTemplate(descriptor, format, mode) {
+  const kind = DESCRIPTOR_KINDS.includes(descriptor.kind) ? descriptor.kind : "theorem";
+  const templates = mode === "caption" ? format.captionTemplates : format.referenceTemplates;
+  const template = templates[kind] || DEFAULT_SETTINGS.referenceTemplates[kind];
+  const referenceNames = format.referenceNames || {};
+
+  let name = "";
+  if (kind === "theorem") {
+    const captionName = format.theoremNames[descriptor.prefix] || defaultTheoremName(format, descriptor.prefix);
+    name = mode === "caption" ? captionName : referenceNames[descriptor.prefix] || captionName;
   }
-  return `${text.slice(0, limit)}...`;
+
+  return template.replace(/\{name\}/g, name);
 }
 
-function countTheoremStartMarkers(source) {
-  if (!source) {
-    return 0;
+function formatDescriptorNumber(descriptor, format) {
+  if (descriptor.unnumbered) {
+    return "";
   }
-  const matches = source.match(
-    /^\s*:::\s*\{#(?:thm|lem|cor|prp|cnj|def|exm|exr|sol|rem|alg)-[A-Za-z0-9_-]+\}\s*$/gm
+  const numberStyles = format.numberStyles || {};
+  const leafNumber = formatNumberStyle(
+    descriptor.number,
+    numberStyles[descriptor.prefix] || numberStyles.default
   );
-  return matches ? matches.length : 0;
+  let number = descriptor.section ? `${descriptor.section}.${leafNumber}` : leafNumber;
+  if (descriptor.subIndex) {
+    number += ` (${formatNumberStyle(descriptor.subIndex, numberStyles.subref || DEFAULT_SUBREF_STYLE)})`;
+  }
+  return number;
 }
 
-function safeStringify(value) {
-  const seen = new WeakSet();
-  return JSON.stringify(value, (_key, current) => {
-    if (typeof current === "object" && current !== null) {
-      if (seen.has(current)) {
-        return "[Circular]";
-      }
-      seen.add(current);
-    }
-    return current;
-  });
+// Unnumbered sections are referred to by their heading text, as Quarto does.
+function formatDescriptorTemplate(descriptor, format, mode) {
+  if (!descriptor) {
+    return "";
+  }
+  if (descriptor.unnumbered) {
+    return mode === "reference" ? descriptor.title : "";
+  }
+
+  return resolveDescriptorTemplate(descriptor, format, mode)
+    .replace(/\{number\}/g, formatDescriptorNumber(descriptor, format))
+    .trim();
 }
 
-function normalizeEquationLabelSource(source) {
-  if (!source || !source.includes("$$") || !source.includes("{#eq-")) {
-    return source;
-  }
+function descriptorDisplay(descriptor, format = DEFAULT_SETTINGS) {
+  return formatDescriptorTemplate(descriptor, format, "reference");
+}
 
-  const lines = source.split(/\r?\n/);
-  const normalized = [];
-  let changed = false;
-  let codeFenceMarker = "";
-  let codeFenceLength = 0;
+function descriptorCaption(descriptor, format = DEFAULT_SETTINGS) {
+  return formatDescriptorTemplate(descriptor, format, "caption");
+}
 
-  for (const line of lines) {
-    const codeFenceMatch = line.match(/^(\s*)(`{3,}|~{3,})/);
-    if (codeFenceMatch) {
-      const marker = codeFenceMatch[2].charAt(0);
-      const length = codeFenceMatch[2].length;
+// `noteText` is the note part as written, quotes included; `notePath` is the name it stands for.
+function createReferenceItem(raw, suppress, noteText, rawLabel, prefix = "", suffix = "") {
+  const note = noteText || "";
+  return {
+    raw,
+    suppress: suppress === "-",
+    noteText: note,
+    notePath: note.startsWith("\"") ? note.slice(1, -1) : note,
+    label: rawLabel.charAt(0).toLowerCase() + rawLabel.slice(1),
+    capitalize: /^[A-Z]/.test(rawLabel),
+    prefix: prefix.trim(),
+    suffix: suffix.trimEnd()
+  };
+}
 
-      if (!codeFenceMarker) {
-        codeFenceMarker = marker;
-        codeFenceLength = length;
-      } else if (codeFenceMarker === marker && length >= codeFenceLength) {
-        codeFenceMarker = "";
-        codeFenceLength = 0;
-      }
+function formatNotePath(linkText) {
+  return BARE_NOTE_PATH_PATTERN.test(linkText) ? linkText : `"${linkText}"`;
+}
 
-      normalized.push(line);
-      continue;
+function parseReferenceGroupItems(content, patterns) {
+  const items = [];
+  for (const part of content.split(";")) {
+    const raw = part.trim();
+    const match = raw.match(patterns.referenceGroupItem);
+    if (!match) {
+      return null;
     }
+    items.push(createReferenceItem(raw, match[2], match[3], match[4], match[1], match[5]));
+  }
+  return items;
+}
 
-    if (codeFenceMarker) {
-      normalized.push(line);
-      continue;
+// Finds bracketed groups (`[@fig-a; Eq. @eq-b]`) and bare references (`@eq-a`, `-@eq-a`,
+// `@Thm-a`) in a text run. Groups that are really Markdown links or citations are left alone.
+function findReferenceTokens(text, patterns = DEFAULT_LABEL_PATTERNS) {
+  const tokens = [];
+
+  REF_GROUP_PATTERN.lastIndex = 0;
+  let match = REF_GROUP_PATTERN.exec(text);
+  while (match) {
+    const next = text.charAt(REF_GROUP_PATTERN.lastIndex);
+    const items = next === "(" || next === "[" ? null : parseReferenceGroupItems(match[1], patterns);
+    if (items) {
+      tokens.push({ start: match.index, end: REF_GROUP_PATTERN.lastIndex, raw: match[0], items });
     }
+    match = REF_GROUP_PATTERN.exec(text);
+  }
 
-    const closeFenceMatch = line.match(/^(\s*)\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}\s*$/);
-    if (closeFenceMatch) {
-      const indent = closeFenceMatch[1] || "";
-      const label = closeFenceMatch[2];
-      normalized.push(`${indent}$$`);
-      normalized.push(`${indent}{#${label}}`);
-      changed = true;
-      continue;
+  const groups = tokens.slice();
+  const referencePattern = patterns.reference;
+  referencePattern.lastIndex = 0;
+  match = referencePattern.exec(text);
+  while (match) {
+    const start = match.index;
+    const end = referencePattern.lastIndex;
+    if (!groups.some((group) => start < group.end && end > group.start)) {
+      tokens.push({
+        start,
+        end,
+        raw: match[0],
+        items: [createReferenceItem(match[0], match[1], match[2], match[3])]
+      });
     }
+    match = referencePattern.exec(text);
+  }
 
-    const inlineMatch = line.match(
-      /^(\s*)\$\$\s*(.+?)\s*\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}\s*$/
-    );
-    if (inlineMatch) {
-      const indent = inlineMatch[1] || "";
-      const body = (inlineMatch[2] || "").trim();
-      const label = inlineMatch[3];
-      normalized.push(`${indent}$$`);
-      if (body) {
-        normalized.push(`${indent}${body}`);
-      }
-      normalized.push(`${indent}$$`);
-      normalized.push(`${indent}{#${label}}`);
-      changed = true;
-      continue;
+  return tokens.sort((a, b) => a.start - b.start);
+}
+
+function pluralizeTitle(text) {
+  return text.replace(/([A-Za-z]+)(\.?\s*)$/, (_match, word, tail) => {
+    if (/s$/i.test(word)) {
+      return `${word}${tail}`;
     }
+    if (/[^aeiou]y$/i.test(word)) {
+      return `${word.slice(0, -1)}ies${tail}`;
+    }
+    return `${word}s${tail}`;
+  });
+}
 
-    normalized.push(line);
-  }
+function capitalizeFirst(text) {
+  return text.replace(/\p{L}/u, (letter) => letter.toUpperCase());
+}
 
-  if (!changed) {
-    return source;
-  }
-  return normalized.join("\n");
+function isNextDescriptorNumber(previous, current) {
+  return (
+    previous.section === current.section &&
+    !previous.subIndex &&
+    !current.subIndex &&
+    Number(current.number) === Number(previous.number) + 1
+  );
 }
 
-function parseCrossrefIndex(source) {
-  const lineOffsets = buildLineOffsets(source);
-  const lines = source.split(/\r?\n/);
-  const labels = new Map();
-  let equationCounter = 0;
-  let figureCounter = 0;
-  const theoremCounters = Object.create(null);
+function formatReferenceRun(items, formatFor) {
+  const first = items[0];
+  if (!first.descriptor) {
+    return [{ text: first.raw, missing: first.label }];
+  }
 
-  const addLabel = (label, kind, startOffset, endOffset, title = "") => {
-    if (labels.has(label)) {
-      return;
+  if (first.descriptor.unnumbered) {
+    const segments = [{
+      text: first.prefix ? `${first.prefix} ${first.descriptor.title}` : first.descriptor.title,
+      link: { label: first.label, filePath: first.filePath, kind: first.descriptor.kind }
+    }];
+    if (first.noteName) {
+      segments.push({ text: ` (${first.noteName})`, note: true });
+    }
+    if (first.suffix) {
+      segments.push({ text: first.suffix });
     }
+    return segments;
+  }
 
-    const prefix = label.split("-")[0];
-    let number = 0;
-    if (kind === "equation") {
-      equationCounter += 1;
-      number = equationCounter;
-    } else if (kind === "figure") {
-      figureCounter += 1;
-      number = figureCounter;
+  const format = formatFor(first.filePath);
+  let before = "";
+  let after = "";
+  if (first.prefix) {
+    before = `${first.prefix} `;
+  } else if (!first.suppress) {
+    const template = resolveDescriptorTemplate(first.descriptor, format, "reference");
+    const parts = template.split("{number}");
+    before = parts.length > 1 ? parts[0] : `${template} `;
+    after = parts.slice(1).join("{number}");
+  }
+
+  // Templates without a word ("({number})") wrap each number; titled ones are pluralized once.
+  const wrapEach = !first.prefix && !first.suppress && !/\p{L}/u.test(`${before}${after}`);
+  if (items.length > 1 && !wrapEach && !first.prefix) {
+    before = pluralizeTitle(before);
+  }
+  if (first.capitalize) {
+    before = capitalizeFirst(before);
+  }
+
+  // Like Quarto, only three or more consecutive numbers collapse into a range; two stay a list.
+  const ranges = [];
+  for (const item of items) {
+    const range = ranges[ranges.length - 1];
+    if (range && isNextDescriptorNumber(range[range.length - 1].descriptor, item.descriptor)) {
+      range.push(item);
     } else {
-      theoremCounters[prefix] = (theoremCounters[prefix] || 0) + 1;
-      number = theoremCounters[prefix];
+      ranges.push([item]);
     }
+  }
+  for (let index = ranges.length - 1; index >= 0; index -= 1) {
+    if (ranges[index].length === 2) {
+      ranges.splice(index, 1, [ranges[index][0]], [ranges[index][1]]);
+    }
+  }
 
-    const lineStart = offsetToLine(lineOffsets, startOffset);
-    const lineEnd = offsetToLine(lineOffsets, Math.max(startOffset, endOffset - 1));
-
-    labels.set(label, {
-      label,
-      kind,
-      prefix,
-      number,
-      title,
-      lineStart,
-      lineEnd
+  const segments = [];
+  const pushLink = (item) => {
+    const number = formatDescriptorNumber(item.descriptor, format);
+    segments.push({
+      text: wrapEach ? `${before}${number}${after}` : number,
+      link: { label: item.label, filePath: item.filePath, kind: item.descriptor.kind }
     });
   };
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const trimmed = lines[i].trim();
-    if (!trimmed.startsWith("$$")) {
-      continue;
+  ranges.forEach((range, rangeIndex) => {
+    if (rangeIndex > 0) {
+      segments.push({ text: ", " });
+    }
+    pushLink(range[0]);
+    if (range.length > 1) {
+      segments.push({ text: "–" });
+      pushLink(range[range.length - 1]);
     }
+  });
 
-    let equationStartLine = i;
-    let equationEndLine = i;
-    let labelLine = -1;
-    let label = "";
+  if (!wrapEach) {
+    const firstLink = segments[0];
+    const lastLink = segments[segments.length - 1];
+    firstLink.text = `${before}${firstLink.text}`.trimStart();
+    lastLink.text = `${lastLink.text}${after}`.trimEnd();
+  }
+  if (first.noteName) {
+    segments.push({ text: ` (${first.noteName})`, note: true });
+  }
+  const suffix = items[items.length - 1].suffix;
+  if (suffix) {
+    segments.push({ text: suffix });
+  }
+  return segments;
+}
 
-    const singleLineMatch = trimmed.match(EQUATION_SINGLE_LINE_PATTERN);
-    if (singleLineMatch && trimmed !== "$$") {
-      label = singleLineMatch[1] || "";
-      if (!label) {
-        let lookAhead = i + 1;
-        while (lookAhead < lines.length && lines[lookAhead].trim() === "") {
-          lookAhead += 1;
-        }
-        if (lookAhead < lines.length) {
-          const labelMatch = lines[lookAhead].trim().match(EQUATION_LABEL_ONLY_PATTERN);
-          if (labelMatch) {
-            label = labelMatch[1];
-            labelLine = lookAhead;
-          }
-        }
-      }
-      if (!label) {
-        continue;
-      }
+// Renders resolved reference items as text segments. Consecutive items of the same kind share
+// one pluralized title and consecutive numbers collapse into ranges ("Figures 1–3, 5").
+function formatReferenceSegments(items, formatFor) {
+  const runs = [];
+  for (const item of items) {
+    const run = runs[runs.length - 1];
+    // Unnumbered targets have no number to share a title or range with, so they stand alone.
+    const key = item.descriptor && !item.descriptor.unnumbered
+      ? [item.descriptor.kind, item.descriptor.prefix, item.filePath, item.suppress].join(":")
+      : "";
+    if (run && key && run.key === key && !run.closed && !item.prefix) {
+      run.items.push(item);
     } else {
-      let endLine = -1;
-      let closeLineLabel = "";
-      for (let j = i + 1; j < lines.length; j += 1) {
-        const closeMatch = lines[j].trim().match(EQUATION_FENCE_CLOSE_PATTERN);
-        if (!closeMatch) {
-          continue;
-        }
-        endLine = j;
-        closeLineLabel = closeMatch[1] || "";
-        break;
-      }
-
-      if (endLine < 0) {
-        continue;
-      }
-
-      equationEndLine = endLine;
-      label = closeLineLabel;
-      if (!label) {
-        let lookAhead = endLine + 1;
-        while (lookAhead < lines.length && lines[lookAhead].trim() === "") {
-          lookAhead += 1;
-        }
-        if (lookAhead < lines.length) {
-          const labelMatch = lines[lookAhead].trim().match(EQUATION_LABEL_ONLY_PATTERN);
-          if (labelMatch) {
-            label = labelMatch[1];
-            labelLine = lookAhead;
-          }
-        }
-      }
+      runs.push({ key, items: [item], closed: false });
+    }
+    runs[runs.length - 1].closed = Boolean(item.suffix);
+  }
 
-      if (!label) {
-        i = endLine;
-        continue;
-      }
+  const segments = [];
+  runs.forEach((run, runIndex) => {
+    if (runIndex > 0) {
+      segments.push({ text: "; " });
     }
+    segments.push(...formatReferenceRun(run.items, formatFor));
+  });
+  return segments;
+}
 
-    const blockStartOffset = lineOffsets[equationStartLine] || 0;
-    const blockEndLine = labelLine >= 0 ? labelLine : equationEndLine;
-    const nextLineIndex = blockEndLine + 1;
-    const blockEndOffset =
-      nextLineIndex < lineOffsets.length ? lineOffsets[nextLineIndex] : source.length;
-    addLabel(label, "equation", blockStartOffset, blockEndOffset);
+function resolveSectionDepth(settings, frontmatter) {
+  let mode = settings.numberingMode;
+  let depth = Number(settings.numberingDepth) || 1;
+  const data = frontmatter || {};
+  const crossref = data.crossref && typeof data.crossref === "object" ? data.crossref : {};
 
-    i = Math.max(i, equationEndLine);
+  if (data["number-sections"] === true && mode === NUMBERING_MODE_FLAT) {
+    mode = NUMBERING_MODE_SECTION;
+  } else if (data["number-sections"] === false) {
+    mode = NUMBERING_MODE_FLAT;
+  }
+  if (Number.isInteger(data["number-depth"])) {
+    depth = data["number-depth"];
+  }
+  if (crossref.chapters === true) {
+    mode = NUMBERING_MODE_CHAPTER;
   }
 
-  const figurePattern = /!\[[^\]]*]\([^)]+\)\s*\{#(fig-[A-Za-z0-9_-]+)\}/g;
-  let match = figurePattern.exec(source);
-  while (match) {
-    addLabel(match[1], "figure", match.index, figurePattern.lastIndex);
-    match = figurePattern.exec(source);
+  if (mode === NUMBERING_MODE_CHAPTER) {
+    return 1;
   }
+  if (mode === NUMBERING_MODE_SECTION) {
+    return Math.max(1, Math.min(MAX_HEADING_LEVEL, depth));
+  }
+  return 0;
+}
 
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    const startMatch = line.trim().match(THEOREM_START_PATTERN);
-    if (!startMatch) {
-      continue;
-    }
+function resolveTheoremSectionDepth(settings, sectionDepth) {
+  switch (settings.theoremNumberWithin) {
+    case THEOREM_NUMBER_WITHIN_NONE:
+      return 0;
+    case NUMBERING_MODE_CHAPTER:
+      return 1;
+    case NUMBERING_MODE_SECTION:
+      return Math.max(1, Math.min(MAX_HEADING_LEVEL, sectionDepth || Number(settings.numberingDepth) || 1));
+    default:
+      return sectionDepth;
+  }
+}
 
-    const label = startMatch[1];
-    const blockStartOffset = lineOffsets[i] || 0;
-
-    let title = "";
-    let cursor = i + 1;
-    let blockEndLine = i;
-    let implicitClosedByNextStart = false;
-
-    for (; cursor < lines.length; cursor += 1) {
-      const current = lines[cursor];
-      const currentTrimmed = current.trim();
-      if (!title) {
-        const headingMatch = current.match(/^\s*#{1,6}\s+(.+)\s*$/);
-        if (headingMatch) {
-          title = headingMatch[1].trim();
-        }
-      }
+function parseTheoremCounterGroups(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.split(/[\s,]+/).filter(Boolean))
+    .filter((group) => group.length > 1);
+}
 
-      if (THEOREM_END_PATTERN.test(currentTrimmed)) {
-        blockEndLine = cursor;
-        break;
-      }
+function applyQuartoNumberingOptions(format, frontmatter) {
+  const data = frontmatter || {};
+  const sectionDepth = resolveSectionDepth(format, data);
+  return Object.assign({}, format, {
+    sectionDepth,
+    theoremSectionDepth: resolveTheoremSectionDepth(format, sectionDepth),
+    headingShift: Number.isInteger(data["shift-heading-level-by"])
+      ? data["shift-heading-level-by"]
+      : 0
+  });
+}
 
-      if (THEOREM_START_PATTERN.test(currentTrimmed)) {
-        blockEndLine = Math.max(i, cursor - 1);
-        cursor = cursor - 1;
-        implicitClosedByNextStart = true;
-        break;
-      }
+function applyQuartoCrossrefOptions(settings, crossref, patterns = DEFAULT_LABEL_PATTERNS) {
+  if (!crossref || typeof crossref !== "object") {
+    return settings;
+  }
 
-      blockEndLine = cursor;
+  const format = Object.assign({}, settings, {
+    referenceTemplates: Object.assign({}, settings.referenceTemplates),
+    captionTemplates: Object.assign({}, settings.captionTemplates),
+    theoremNames: Object.assign({}, settings.theoremNames),
+    referenceNames: Object.assign({}, settings.referenceNames),
+    numberStyles: Object.assign({}, settings.numberStyles)
+  });
+  const option = (key) => {
+    const value = crossref[key];
+    if (typeof value === "string" || typeof value === "number") {
+      return String(value);
     }
+    return null;
+  };
 
-    const nextLineIndex = blockEndLine + 1;
-    const blockEndOffset =
-      nextLineIndex < lineOffsets.length ? lineOffsets[nextLineIndex] : source.length;
+  if (option("title-delim") !== null) {
+    format.titleDelim = option("title-delim");
+    format.captionDelim = option("title-delim");
+  }
+  if (option("labels") !== null) {
+    format.numberStyles.default = option("labels");
+  }
+  if (option("subref-labels") !== null) {
+    format.numberStyles.subref = option("subref-labels");
+  }
 
-    addLabel(label, "theorem", blockStartOffset, blockEndOffset, title);
-    if (implicitClosedByNextStart && !title) {
-      const fallbackTitleLine = lines[i + 1] || "";
-      const fallbackTitle = fallbackTitleLine.trim();
-      if (fallbackTitle && !THEOREM_START_PATTERN.test(fallbackTitle) && !THEOREM_END_PATTERN.test(fallbackTitle)) {
-        const descriptor = labels.get(label);
-        if (descriptor && !descriptor.title) {
-          descriptor.title = fallbackTitle.replace(/^#+\s*/, "").trim();
-        }
-      }
+  const kindPrefixes = {
+    equation: "eq",
+    figure: "fig",
+    table: "tbl",
+    listing: "lst",
+    section: "sec"
+  };
+  for (const kind of Object.keys(kindPrefixes)) {
+    const prefix = kindPrefixes[kind];
+    if (option(`${prefix}-prefix`) !== null) {
+      format.referenceTemplates[kind] = `${option(`${prefix}-prefix`)} {number}`;
+    }
+    if (CAPTIONED_KINDS.includes(kind) && kind !== "equation" && option(`${prefix}-title`) !== null) {
+      format.captionTemplates[kind] = `${option(`${prefix}-title`)} {number}`;
+    }
+    if (option(`${prefix}-labels`) !== null) {
+      format.numberStyles[prefix] = option(`${prefix}-labels`);
     }
-    i = cursor;
   }
 
-  return { labels };
-}
-
-function buildCrossrefEditorExtension() {
-  if (!RangeSetBuilder || !Decoration || !ViewPlugin) {
-    return [];
+  for (const prefix of patterns.theoremPrefixes) {
+    if (option(`${prefix}-title`) !== null) {
+      format.theoremNames[prefix] = option(`${prefix}-title`);
+    }
+    if (option(`${prefix}-prefix`) !== null) {
+      format.referenceNames[prefix] = option(`${prefix}-prefix`);
+    }
+    if (option(`${prefix}-labels`) !== null) {
+      format.numberStyles[prefix] = option(`${prefix}-labels`);
+    }
   }
 
-  const refMark = Decoration.mark({ class: "cm-crossref-ref" });
-  const labelMark = Decoration.mark({ class: "cm-crossref-label" });
-
-  return [
-    ViewPlugin.fromClass(
-      class {
-        constructor(view) {
-          this.decorations = this.buildDecorations(view);
-        }
-
-        update(update) {
-          if (update.docChanged || update.viewportChanged) {
-            this.decorations = this.buildDecorations(update.view);
-          }
-        }
-
-        buildDecorations(view) {
-          const builder = new RangeSetBuilder();
-          const ranges = [];
-
-          for (const visible of view.visibleRanges) {
-            const chunk = view.state.doc.sliceString(visible.from, visible.to);
-
-            CM_REF_PATTERN.lastIndex = 0;
-            let match = CM_REF_PATTERN.exec(chunk);
-            while (match) {
-              const from = visible.from + match.index;
-              ranges.push({
-                from,
-                to: from + match[0].length,
-                mark: refMark
-              });
-              match = CM_REF_PATTERN.exec(chunk);
-            }
-
-            CM_LABEL_PATTERN.lastIndex = 0;
-            match = CM_LABEL_PATTERN.exec(chunk);
-            while (match) {
-              const from = visible.from + match.index;
-              ranges.push({
-                from,
-                to: from + match[0].length,
-                mark: labelMark
-              });
-              match = CM_LABEL_PATTERN.exec(chunk);
-            }
-          }
+  return format;
+}
 
-          ranges.sort((a, b) => {
-            if (a.from !== b.from) {
-              return a.from - b.from;
-            }
-            if (a.to !== b.to) {
-              return a.to - b.to;
-            }
-            return 0;
-          });
+function normalizeText(element) {
+  return (element.textContent || "").replace(/\u200b/g, "").trim();
+}
 
-          for (const range of ranges) {
-            builder.add(range.from, range.to, range.mark);
-          }
+function shortText(value, limit = 120) {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  if (text.length <= limit) {
+    return text;
+  }
+  return `${text.slice(0, limit)}...`;
+}
 
-          return builder.finish();
-        }
-      },
-      {
-        decorations: (value) => value.decorations
+function safeStringify(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (_key, current) => {
+    if (typeof current === "object" && current !== null) {
+      if (seen.has(current)) {
+        return "[Circular]";
       }
-    )
-  ];
+      seen.add(current);
+    }
+    return current;
+  });
 }
 
-class CrossrefReferenceSuggest extends EditorSuggest {
-  constructor(plugin) {
-    super(plugin.app);
-    this.plugin = plugin;
+function normalizeEquationLabelSource(source) {
+  if (!source || !source.includes("$$") || !source.includes("{#eq-")) {
+    return source;
   }
 
-  onTrigger(cursor, editor, file) {
-    const line = editor.getLine(cursor.line);
-    const before = line.slice(0, cursor.ch);
-    const match = before.match(/(?:^|[\s([{"'`.,;:!?，。；：、])@([A-Za-z0-9_-]*)$/);
-    if (!match) {
-      return null;
+  const structure = parseBlockStructure(source);
+  const { lines } = structure;
+  const replacements = new Map();
+  for (const math of structure.maths) {
+    const line = math.lineEnd;
+    const text = lines[line];
+    const content = text.slice(structure.lineInfo[line].prefix.length);
+    const lead = text.slice(0, text.length - content.trimStart().length);
+
+    if (math.lineStart === line) {
+      const inlineMatch = content.match(/^\s*\$\$\s*(.+?)\s*\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}\s*$/);
+      if (inlineMatch) {
+        const body = (inlineMatch[1] || "").trim();
+        const split = [`${lead}$$`].concat(body ? [`${lead}${body}`] : []);
+        replacements.set(line, split.concat(`${lead}$$`, `${lead}{#${inlineMatch[2]}}`));
+      }
+      continue;
     }
 
-    const query = match[1] || "";
-    return {
-      start: {
-        line: cursor.line,
-        ch: cursor.ch - query.length - 1
-      },
-      end: cursor,
-      query,
-      file
-    };
-  }
-
-  async getSuggestions(context) {
-    const filePath = context.file && context.file.path ? context.file.path : this.plugin.getActiveFilePath();
-    if (!filePath) {
-      return [];
+    const closeMatch = math.closed && content.match(/^\s*\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}\s*$/);
+    if (closeMatch) {
+      replacements.set(line, [`${lead}$$`, `${lead}{#${closeMatch[1]}}`]);
     }
-
-    const descriptors = await this.plugin.getLabelDescriptors(filePath);
-    const query = (context.query || "").toLowerCase();
-
-    return descriptors
-      .filter((descriptor) => descriptor.label.toLowerCase().includes(query))
-      .slice(0, 40);
   }
 
-  renderSuggestion(descriptor, el) {
-    const row = el.createDiv({ cls: "crossref-suggest-row" });
-    row.createSpan({ text: `@${descriptor.label}`, cls: "crossref-suggest-main" });
-    row.createSpan({ text: descriptorDisplay(descriptor), cls: "crossref-suggest-meta" });
+  if (replacements.size === 0) {
+    return source;
   }
+  const normalized = [];
+  lines.forEach((line, i) => {
+    normalized.push(...(replacements.get(i) || [line]));
+  });
+  return normalized.join("\n");
+}
 
-  selectSuggestion(descriptor) {
-    if (!this.context) {
-      return;
+function maskRange(text, start, end) {
+  return text.slice(0, start) + " ".repeat(end - start) + text.slice(end);
+}
+
+// Blanks out `<!-- -->` and `%% %%` comments. `close` is the terminator still pending from
+// an earlier line, and the returned `close` is the one left open at the end of this line.
+function maskComments(text, close) {
+  let masked = text;
+  let pending = close;
+  let cursor = 0;
+  while (cursor <= masked.length) {
+    if (pending) {
+      const end = masked.indexOf(pending, cursor);
+      const stop = end < 0 ? masked.length : end + pending.length;
+      masked = maskRange(masked, cursor, stop);
+      if (end < 0) {
+        return { text: masked, close: pending };
+      }
+      cursor = stop;
+      pending = "";
     }
 
-    this.context.editor.replaceRange(
-      `@${descriptor.label}`,
-      this.context.start,
-      this.context.end
-    );
+    const html = masked.indexOf("<!--", cursor);
+    const obsidian = masked.indexOf("%%", cursor);
+    if (html < 0 && obsidian < 0) {
+      break;
+    }
+    const useHtml = html >= 0 && (obsidian < 0 || html < obsidian);
+    const open = useHtml ? html : obsidian;
+    const opener = useHtml ? "<!--" : "%%";
+    masked = maskRange(masked, open, open + opener.length);
+    cursor = open + opener.length;
+    pending = useHtml ? "-->" : "%%";
   }
+  return { text: masked, close: "" };
 }
 
-class CrossrefLabelSuggest extends EditorSuggest {
-  constructor(plugin) {
-    super(plugin.app);
-    this.plugin = plugin;
-  }
+function matchCodeFenceClose(text, fence) {
+  const match = text.match(/^\s*(`{3,}|~{3,})\s*$/);
+  return Boolean(match && match[1].charAt(0) === fence.marker && match[1].length >= fence.length);
+}
 
-  onTrigger(cursor, editor, file) {
-    const line = editor.getLine(cursor.line);
-    const before = line.slice(0, cursor.ch);
-    const match = before.match(/\{#([A-Za-z0-9_-]*)$/);
-    if (!match) {
-      return null;
-    }
+// One pass over a note that every scanner reads from. Each line gets a `kind`
+// (frontmatter, fence, code, math, comment, div-open, div-close, text or blank) and a
+// `content` copy in which blockquote, callout and list markers and comments are blanked
+// out, so columns still line up with the source. Fenced code, display math and `:::`
+// divs become blocks; divs nest, and a theorem div opened directly inside another theorem
+// div closes it, matching how unclosed theorem blocks have always been read.
+function parseBlockStructure(source, patterns = DEFAULT_LABEL_PATTERNS) {
+  const lines = source.split(/\r?\n/);
+  const frontmatterEnd = findFrontmatterEnd(lines);
+  const tokens = tokenizeBlocks(lines, 0, frontmatterEnd, patterns);
+  return createBlockStructure(lines, frontmatterEnd, tokens.lineInfo, tokens, patterns);
+}
 
-    const query = match[1] || "";
-    return {
-      start: {
-        line: cursor.line,
-        ch: cursor.ch - query.length - 2
-      },
-      end: cursor,
-      query,
-      file
-    };
-  }
+// Tokenizes from `from`, which must be a line where no block is open. `top` on each line
+// records that, and tokenizing stops early at the first such line `canStop` accepts.
+function tokenizeBlocks(lines, from, frontmatterEnd, patterns, canStop = null) {
+  const lineInfo = [];
+  const fences = [];
+  const maths = [];
+  const divs = [];
+  const divStack = [];
+  let fence = null;
+  let math = null;
+  let commentClose = "";
+  let end = lines.length;
+
+  for (let i = from; i < lines.length; i += 1) {
+    const top = !fence && !math && !commentClose && divStack.length === 0;
+    if (top && canStop && canStop(i)) {
+      end = i;
+      break;
+    }
 
-  getSuggestions(context) {
-    const query = (context.query || "").toLowerCase();
-    return LABEL_PREFIX_ITEMS.filter((item) => item.prefix.includes(query));
-  }
+    const text = lines[i];
+    const info = { kind: "text", content: text, prefix: "", top, div: divStack[divStack.length - 1] || null };
+    lineInfo.push(info);
 
-  renderSuggestion(item, el) {
-    const row = el.createDiv({ cls: "crossref-suggest-row" });
-    row.createSpan({ text: `{#${item.prefix}}`, cls: "crossref-suggest-main" });
-    row.createSpan({ text: item.desc, cls: "crossref-suggest-meta" });
-  }
+    if (i < frontmatterEnd) {
+      info.kind = "frontmatter";
+      continue;
+    }
 
-  selectSuggestion(item) {
-    if (!this.context) {
-      return;
+    const quote = text.match(BLOCKQUOTE_PREFIX_PATTERN)[0];
+    if (fence) {
+      info.prefix = fence.quoted ? quote : "";
+      info.content = " ".repeat(info.prefix.length) + text.slice(info.prefix.length);
+      if (matchCodeFenceClose(info.content, fence)) {
+        fence.lineEnd = i;
+        fence = null;
+        info.kind = "fence";
+      } else {
+        info.kind = "code";
+      }
+      continue;
     }
 
-    const insertText = `{#${item.prefix}}`;
-    const start = this.context.start;
-    this.context.editor.replaceRange(insertText, start, this.context.end);
-    this.context.editor.setCursor({
-      line: start.line,
-      ch: start.ch + insertText.length - 1
-    });
-  }
-}
+    const listMarker = text.slice(quote.length).match(LIST_MARKER_PATTERN);
+    info.prefix = quote + (listMarker ? listMarker[0] : "");
+    info.content = " ".repeat(info.prefix.length) + text.slice(info.prefix.length);
 
-class CrossrefPreviewPlugin extends Plugin {
-  async onload() {
-    this.indexCache = new Map();
-    this.debugLogPath = `${this.app.vault.configDir}/${DEBUG_LOG_RELATIVE_PATH}`;
-    this.debugLogBuffer = [];
-    this.debugLogFlushTimer = null;
-    this.nativeFlashSuppressTimer = null;
-    this.originalMarkdownRender = null;
-    this.originalMarkdownRenderMarkdown = null;
+    if (math) {
+      info.kind = "math";
+      if (info.content.trim().includes("$$")) {
+        math.lineEnd = i;
+        math.closed = true;
+        math = null;
+      }
+      continue;
+    }
 
-    await this.resetDebugLogFile();
+    const masked = maskComments(info.content, commentClose);
+    commentClose = masked.close;
+    if (masked.text !== info.content && !masked.text.trim()) {
+      info.kind = "comment";
+      info.content = masked.text;
+      continue;
+    }
+    info.content = masked.text;
+
+    const trimmed = info.content.trim();
+    const fenceMatch = info.content.match(CODE_FENCE_OPEN_PATTERN);
+    if (fenceMatch) {
+      fence = {
+        lineStart: i,
+        lineEnd: lines.length - 1,
+        marker: fenceMatch[2].charAt(0),
+        length: fenceMatch[2].length,
+        info: fenceMatch[3] || "",
+        quoted: quote.length > 0
+      };
+      fences.push(fence);
+      info.kind = "fence";
+      continue;
+    }
 
-    this.patchMarkdownRendererEquationLabels();
+    if (trimmed.startsWith("$$")) {
+      const block = { lineStart: i, lineEnd: i, closed: true };
+      if (!trimmed.slice(2).includes("$$")) {
+        block.lineEnd = lines.length - 1;
+        block.closed = false;
+        math = block;
+      }
+      maths.push(block);
+      info.kind = "math";
+      continue;
+    }
 
-    this.registerMarkdownPostProcessor(async (element, context) => {
-      await this.processSection(element, context);
-    });
+    if (DIV_CLOSE_PATTERN.test(trimmed)) {
+      const closed = divStack.pop() || null;
+      if (closed) {
+        closed.lineEnd = i;
+      }
+      info.kind = "div-close";
+      info.div = closed;
+      continue;
+    }
 
-    this.registerEvent(
-      this.app.vault.on("modify", (file) => {
-        if (file && file.path) {
-          this.indexCache.delete(file.path);
-          this.debugLog(file.path, "vault modify event");
-        }
-      })
-    );
+    if (DIV_OPEN_PATTERN.test(trimmed)) {
+      const theorem = patterns.theoremStart.test(trimmed);
+      const innermost = divStack[divStack.length - 1];
+      if (theorem && innermost && innermost.theorem) {
+        innermost.lineEnd = i - 1;
+        innermost.implicitEnd = true;
+        divStack.pop();
+      }
+      const div = {
+        lineStart: i,
+        lineEnd: lines.length - 1,
+        opener: trimmed,
+        theorem,
+        implicitEnd: false,
+        parent: divStack[divStack.length - 1] || null
+      };
+      divStack.push(div);
+      divs.push(div);
+      info.kind = "div-open";
+      info.div = div;
+      continue;
+    }
 
-    this.registerEvent(
-      this.app.vault.on("rename", (file, oldPath) => {
-        if (oldPath) {
-          this.indexCache.delete(oldPath);
-        }
-        if (file && file.path) {
-          this.indexCache.delete(file.path);
-        }
-      })
-    );
+    if (!trimmed) {
+      info.kind = "blank";
+    }
+  }
 
-    this.registerEvent(
-      this.app.vault.on("delete", (file) => {
-        if (file && file.path) {
-          this.indexCache.delete(file.path);
-        }
-      })
-    );
+  return { lineInfo, fences, maths, divs, end };
+}
 
-    this.registerEvent(
-      this.app.workspace.on("editor-change", (_editor, view) => {
-        const filePath = view && view.file ? view.file.path : null;
-        if (filePath) {
-          this.indexCache.delete(filePath);
-        }
-      })
-    );
+function createBlockStructure(lines, frontmatterEnd, lineInfo, blocks, patterns) {
+  const divsByStart = new Map(blocks.divs.map((div) => [div.lineStart, div]));
+  return {
+    lines,
+    lineInfo,
+    frontmatterEnd,
+    patterns,
+    fences: blocks.fences,
+    maths: blocks.maths,
+    divs: blocks.divs,
+    divAt: (line) => divsByStart.get(line) || null
+  };
+}
 
-    this.registerEvent(
-      this.app.workspace.on("file-open", (file) => {
-        if (!file || !file.path) {
-          return;
-        }
-        this.indexCache.delete(file.path);
-      })
-    );
+// Re-tokenizes only the lines around an edit. Tokenizing restarts at the last line before
+// the edit where no block is open and stops at the first line after it where no block is
+// open in either version; the rest is the previous structure moved by the change in line
+// count. `previous` is left untouched, so it may still be in use elsewhere; one parsed with
+// other label patterns is not reused at all.
+function updateBlockStructure(previous, source, patterns = DEFAULT_LABEL_PATTERNS) {
+  if (!previous || previous.patterns !== patterns) {
+    return parseBlockStructure(source, patterns);
+  }
 
-    this.referenceSuggest = new CrossrefReferenceSuggest(this);
-    this.registerEditorSuggest(this.referenceSuggest);
+  const lines = source.split(/\r?\n/);
+  const frontmatterEnd = findFrontmatterEnd(lines);
+  const old = previous.lines;
+  const limit = Math.min(old.length, lines.length);
+  let start = 0;
+  while (start < limit && old[start] === lines[start]) {
+    start += 1;
+  }
+  if (start === old.length && start === lines.length) {
+    return previous;
+  }
+  if (frontmatterEnd !== previous.frontmatterEnd || start < frontmatterEnd) {
+    return parseBlockStructure(source, patterns);
+  }
 
-    this.labelSuggest = new CrossrefLabelSuggest(this);
-    this.registerEditorSuggest(this.labelSuggest);
+  let tail = 0;
+  while (tail < limit - start && old[old.length - 1 - tail] === lines[lines.length - 1 - tail]) {
+    tail += 1;
+  }
+  let from = start;
+  while (from > frontmatterEnd && !(from < old.length && previous.lineInfo[from].top)) {
+    from -= 1;
+  }
 
-    const editorExtension = buildCrossrefEditorExtension();
-    if (editorExtension && editorExtension.length > 0) {
-      this.registerEditorExtension(editorExtension);
+  const delta = lines.length - old.length;
+  const changedEnd = lines.length - tail;
+  const tokens = tokenizeBlocks(lines, from, frontmatterEnd, patterns, (line) => {
+    return line >= changedEnd && line > from && previous.lineInfo[line - delta].top;
+  });
+
+  const resume = tokens.end - delta;
+  const keep = (block) => block.lineStart < from;
+  const moved = (block) => block.lineStart >= resume;
+  const shift = (block) => {
+    if (delta === 0) {
+      return block;
+    }
+    return Object.assign({}, block, { lineStart: block.lineStart + delta, lineEnd: block.lineEnd + delta });
+  };
+  const movedDivs = new Map();
+  for (const div of previous.divs.filter(moved)) {
+    movedDivs.set(div, shift(div));
+  }
+  if (delta !== 0) {
+    for (const div of movedDivs.values()) {
+      div.parent = div.parent ? movedDivs.get(div.parent) || null : null;
     }
+  }
 
-    this.registerDomEvent(document, "click", (event) => {
-      this.handleReferenceClick(event);
-    });
+  const lineInfo = previous.lineInfo.slice(0, from).concat(tokens.lineInfo);
+  for (let line = resume; line < old.length; line += 1) {
+    const info = previous.lineInfo[line];
+    const div = info.div ? movedDivs.get(info.div) || null : null;
+    lineInfo.push(div === info.div ? info : Object.assign({}, info, { div }));
   }
 
-  onunload() {
-    this.restoreMarkdownRendererEquationLabels();
-    this.flushDebugLogs();
-    if (this.debugLogFlushTimer) {
-      window.clearTimeout(this.debugLogFlushTimer);
-      this.debugLogFlushTimer = null;
+  return createBlockStructure(lines, frontmatterEnd, lineInfo, {
+    fences: previous.fences.filter(keep).concat(tokens.fences, previous.fences.filter(moved).map(shift)),
+    maths: previous.maths.filter(keep).concat(tokens.maths, previous.maths.filter(moved).map(shift)),
+    divs: previous.divs.filter(keep).concat(tokens.divs, Array.from(movedDivs.values()))
+  }, patterns);
+}
+
+// Per-line scan results are kept on the line itself, so lines an edit did not touch are
+// not scanned again. Structures from `updateBlockStructure` share those line objects.
+function cachedLineScan(info, key, scan) {
+  if (!info.scans) {
+    info.scans = {};
+  }
+  if (!(key in info.scans)) {
+    info.scans[key] = scan(info.content);
+  }
+  return info.scans[key];
+}
+
+function isInsideDiv(div, predicate) {
+  for (let current = div; current; current = current.parent) {
+    if (predicate(current)) {
+      return true;
     }
-    if (this.nativeFlashSuppressTimer) {
-      window.clearTimeout(this.nativeFlashSuppressTimer);
-      this.nativeFlashSuppressTimer = null;
+  }
+  return false;
+}
+
+// The first heading that sits directly in `div` (not in a nested div or code block).
+function findDivHeading(structure, div) {
+  for (let line = div.lineStart + 1; line < div.lineEnd; line += 1) {
+    const info = structure.lineInfo[line];
+    if (info.kind !== "text" || info.div !== div) {
+      continue;
     }
-    if (document && document.body) {
-      document.body.classList.remove(NATIVE_FLASH_SUPPRESS_CLASS);
+    const headingMatch = info.content.match(/^\s*#{1,6}\s+(.+)\s*$/);
+    if (headingMatch) {
+      return { line, text: headingMatch[1].trim() };
     }
-    this.indexCache.clear();
   }
+  return null;
+}
 
-  patchMarkdownRendererEquationLabels() {
-    if (this.originalMarkdownRender || this.originalMarkdownRenderMarkdown) {
-      return;
-    }
+// The TeX inside a display math block, without its `$$` delimiters or a trailing label.
+function readMathBody(structure, math) {
+  const read = (line) => structure.lines[line].slice(structure.lineInfo[line].prefix.length);
+  if (math.lineStart === math.lineEnd) {
+    const inlineMatch = read(math.lineStart).trim().match(/^\$\$\s*(.*?)\s*\$\$/);
+    return inlineMatch ? inlineMatch[1].trim() : "";
+  }
 
-    if (MarkdownRenderer && typeof MarkdownRenderer.render === "function") {
-      const originalRender = MarkdownRenderer.render;
-      this.originalMarkdownRender = originalRender;
-      MarkdownRenderer.render = function (app, markdown, el, sourcePath, component) {
-        const normalized =
-          typeof markdown === "string" ? normalizeEquationLabelSource(markdown) : markdown;
-        return originalRender.call(this, app, normalized, el, sourcePath, component);
-      };
+  const bodyLines = [];
+  const opening = read(math.lineStart).trim().slice(2).trim();
+  if (opening) {
+    bodyLines.push(opening);
+  }
+  const lastBodyLine = math.closed ? math.lineEnd - 1 : math.lineEnd;
+  for (let line = math.lineStart + 1; line <= lastBodyLine; line += 1) {
+    if (!EQUATION_LABEL_ONLY_PATTERN.test(read(line).trim())) {
+      bodyLines.push(read(line));
     }
-
-    if (MarkdownRenderer && typeof MarkdownRenderer.renderMarkdown === "function") {
-      const originalRenderMarkdown = MarkdownRenderer.renderMarkdown;
-      this.originalMarkdownRenderMarkdown = originalRenderMarkdown;
-      MarkdownRenderer.renderMarkdown = function (markdown, el, sourcePath, component) {
-        const normalized =
-          typeof markdown === "string" ? normalizeEquationLabelSource(markdown) : markdown;
-        return originalRenderMarkdown.call(this, normalized, el, sourcePath, component);
-      };
+  }
+  if (math.closed) {
+    const closing = read(math.lineEnd).trim();
+    const tail = closing.slice(0, closing.indexOf("$$")).trim();
+    if (tail) {
+      bodyLines.push(tail);
     }
   }
+  return bodyLines.join("\n").trim();
+}
 
-  restoreMarkdownRendererEquationLabels() {
-    if (this.originalMarkdownRender) {
-      MarkdownRenderer.render = this.originalMarkdownRender;
-      this.originalMarkdownRender = null;
+function collectPipeTables(structure) {
+  const { lines, lineInfo } = structure;
+  const tables = [];
+  const isRow = (line) => line < lines.length && lineInfo[line].kind === "text" && lineInfo[line].content.includes("|");
+
+  for (let i = 0; i + 1 < lines.length; i += 1) {
+    if (!isRow(i) || !isRow(i + 1) || !TABLE_DELIMITER_ROW_PATTERN.test(lineInfo[i + 1].content)) {
+      continue;
     }
 
-    if (this.originalMarkdownRenderMarkdown) {
-      MarkdownRenderer.renderMarkdown = this.originalMarkdownRenderMarkdown;
-      this.originalMarkdownRenderMarkdown = null;
+    let end = i + 1;
+    while (isRow(end + 1)) {
+      end += 1;
     }
+    tables.push({ start: i, end });
+    i = end;
   }
 
-  getActiveFilePath() {
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    return activeView && activeView.file ? activeView.file.path : "";
+  return tables;
+}
+
+function findTableCaptionLine(structure, table) {
+  const { lines, lineInfo } = structure;
+  const candidates = [];
+  for (const step of [1, -1]) {
+    let cursor = step > 0 ? table.end + 1 : table.start - 1;
+    if (cursor >= 0 && cursor < lines.length && lineInfo[cursor].kind === "blank") {
+      cursor += step;
+    }
+    candidates.push(cursor);
   }
 
-  isSourceRenderElement(element) {
-    if (!(element instanceof HTMLElement)) {
-      return false;
-    }
-
-    if (element.closest(".cm-editor, .cm-contentContainer, .markdown-source-view")) {
-      return true;
+  for (const line of candidates) {
+    if (line < 0 || line >= lines.length || lineInfo[line].kind !== "text") {
+      continue;
     }
-
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (
-      activeView &&
-      typeof activeView.getMode === "function" &&
-      activeView.getMode() !== "preview"
-    ) {
-      return true;
+    const match = lineInfo[line].content.match(TABLE_CAPTION_PATTERN);
+    if (match) {
+      return { line, caption: match[1] || "", label: match[2] };
     }
-
-    return false;
   }
+  return null;
+}
 
-  isDebugSource(sourcePath) {
-    if (!sourcePath) {
-      return false;
+// The last prose paragraph between two lines, which is where Quarto takes a div's caption from.
+function readDivCaption(structure, startLine, endLine) {
+  let caption = "";
+  let paragraph = [];
+  for (let line = startLine; line <= endLine + 1; line += 1) {
+    const info = structure.lineInfo[line];
+    if (line <= endLine && info.kind === "text") {
+      paragraph.push(info.content.trim());
+      continue;
+    }
+    const text = paragraph.join(" ").replace(/\s+/g, " ").trim();
+    if (text) {
+      caption = text;
     }
-    return sourcePath === DEBUG_NOTE_BASENAME || sourcePath.endsWith(`/${DEBUG_NOTE_BASENAME}`);
+    paragraph = [];
   }
+  return caption;
+}
 
-  debugLog(sourcePath, message, payload) {
-    if (!this.isDebugSource(sourcePath)) {
-      return;
-    }
+function collectTableTargets(structure) {
+  const tables = collectPipeTables(structure);
+  const claimed = new Set();
+  const targets = [];
 
-    const timestamp = new Date().toISOString();
-    let line = `[${timestamp}] ${sourcePath} ${message}`;
-    if (typeof payload !== "undefined") {
-      line += ` ${safeStringify(payload)}`;
+  for (const div of structure.divs) {
+    const divMatch = div.opener.match(TABLE_DIV_START_PATTERN);
+    if (!divMatch || isInsideDiv(div.parent, (parent) => TABLE_DIV_START_PATTERN.test(parent.opener))) {
+      continue;
     }
-    this.enqueueDebugLogLine(`${line}\n`);
 
-    if (typeof payload === "undefined") {
-      console.log(`[CrossrefDebug] ${sourcePath} ${message}`);
-      return;
+    const table = tables.find((item) => item.start > div.lineStart && item.end < div.lineEnd);
+    let caption = "";
+    if (table) {
+      claimed.add(table);
+      caption = readDivCaption(structure, table.end + 1, div.lineEnd - 1);
     }
-    console.log(`[CrossrefDebug] ${sourcePath} ${message}`, payload);
+
+    targets.push({
+      label: divMatch[1],
+      lineStart: div.lineStart,
+      lineEnd: div.lineEnd,
+      tableStart: table ? table.start : -1,
+      tableEnd: table ? table.end : -1,
+      caption
+    });
   }
 
-  async resetDebugLogFile() {
-    if (!DEBUG_NOTE_BASENAME || !this.debugLogPath) {
-      return;
+  for (const table of tables) {
+    if (claimed.has(table)) {
+      continue;
     }
 
-    try {
-      const header = `=== Crossref debug session ${new Date().toISOString()} ===\n`;
-      await this.app.vault.adapter.write(this.debugLogPath, header);
-    } catch (error) {
-      console.error("Crossref Preview: failed to reset debug log file", error);
+    const captionInfo = findTableCaptionLine(structure, table);
+    if (!captionInfo) {
+      continue;
     }
+    targets.push({
+      label: captionInfo.label,
+      lineStart: Math.min(table.start, captionInfo.line),
+      lineEnd: Math.max(table.end, captionInfo.line),
+      tableStart: table.start,
+      tableEnd: table.end,
+      caption: captionInfo.caption
+    });
   }
 
-  enqueueDebugLogLine(line) {
-    if (!this.debugLogPath) {
-      return;
-    }
+  return targets.sort((a, b) => a.lineStart - b.lineStart);
+}
 
-    this.debugLogBuffer.push(line);
-    if (this.debugLogFlushTimer) {
-      return;
-    }
+// The rendered `: Caption {#tbl-...}` paragraph beside a table, if it belongs to this descriptor.
+// Only the table's own siblings (or its host's) are considered, so prose elsewhere stays put.
+function findTableCaptionParagraph(root, table, descriptor) {
+  const host = table.parentElement;
+  const candidates = [table.previousElementSibling, table.nextElementSibling];
+  if (host && host !== root) {
+    candidates.push(host.previousElementSibling, host.nextElementSibling);
+  }
 
-    this.debugLogFlushTimer = window.setTimeout(() => {
-      this.debugLogFlushTimer = null;
-      this.flushDebugLogs();
-    }, 80);
+  const caption = String(descriptor.caption || "").replace(/\s+/g, " ").trim();
+  for (const candidate of candidates) {
+    if (!candidate || candidate.tagName !== "P" || !root.contains(candidate)) {
+      continue;
+    }
+    const text = normalizeText(candidate).replace(/\s+/g, " ");
+    const match = text.match(TABLE_CAPTION_PATTERN);
+    if (match) {
+      if (match[2] === descriptor.label) {
+        return candidate;
+      }
+      continue;
+    }
+    if (caption && TABLE_CAPTION_PARAGRAPH_PATTERN.test(text) && text.replace(TABLE_CAPTION_PARAGRAPH_PATTERN, "").trim() === caption) {
+      return candidate;
+    }
   }
+  return null;
+}
 
-  async flushDebugLogs() {
-    if (!this.debugLogPath || this.debugLogBuffer.length === 0) {
-      return;
+function readDivAttribute(attributes, name) {
+  const match = String(attributes || "").match(
+    new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s}]+))`)
+  );
+  return match ? match[1] || match[2] || match[3] || "" : "";
+}
+
+function collectFigurePanels(structure) {
+  const panels = [];
+
+  for (const div of structure.divs) {
+    const startMatch = div.opener.match(FIGURE_DIV_START_PATTERN);
+    if (!startMatch || isInsideDiv(div.parent, (parent) => FIGURE_DIV_START_PATTERN.test(parent.opener))) {
+      continue;
     }
 
-    const chunk = this.debugLogBuffer.join("");
-    this.debugLogBuffer.length = 0;
+    const subfigures = [];
+    let caption = "";
+    let paragraph = [];
+    const flushParagraph = () => {
+      const text = paragraph.join(" ").replace(/\s+/g, " ").trim();
+      if (text) {
+        caption = text;
+      }
+      paragraph = [];
+    };
 
-    try {
-      if (typeof this.app.vault.adapter.append === "function") {
-        await this.app.vault.adapter.append(this.debugLogPath, chunk);
-        return;
+    for (let line = div.lineStart + 1; line < div.lineEnd; line += 1) {
+      const info = structure.lineInfo[line];
+      if (info.kind !== "text") {
+        flushParagraph();
+        continue;
       }
 
-      let existing = "";
-      if (await this.app.vault.adapter.exists(this.debugLogPath)) {
-        existing = await this.app.vault.adapter.read(this.debugLogPath);
+      const text = info.content;
+      FIGURE_IMAGE_PATTERN.lastIndex = 0;
+      let imageMatch = FIGURE_IMAGE_PATTERN.exec(text);
+      if (!imageMatch) {
+        paragraph.push(text.trim());
+        continue;
       }
-      await this.app.vault.adapter.write(this.debugLogPath, `${existing}${chunk}`);
-    } catch (error) {
-      console.error("Crossref Preview: failed to flush debug logs", error);
-    }
-  }
 
-  async getLabelDescriptors(filePath) {
-    if (!filePath) {
-      return [];
+      flushParagraph();
+      while (imageMatch) {
+        subfigures.push({
+          label: imageMatch[4] || "",
+          source: imageMatch[0].replace(/\s*\{#fig-[^}]*\}$/, ""),
+          caption: imageMatch[2] || "",
+          line
+        });
+        imageMatch = FIGURE_IMAGE_PATTERN.exec(text);
+      }
     }
+    flushParagraph();
 
-    const source = await this.readCurrentSource(filePath);
-    if (!source) {
-      return [];
-    }
+    const lettered = subfigures.length > 1 || subfigures.some((subfigure) => subfigure.label);
+    subfigures.forEach((subfigure, position) => {
+      subfigure.subIndex = lettered ? position + 1 : 0;
+    });
 
-    const index = this.getCachedIndex(filePath, source);
-    const descriptors = Array.from(index.labels.values());
-    descriptors.sort((a, b) => a.lineStart - b.lineStart);
-    return descriptors;
+    panels.push({
+      label: startMatch[1],
+      lineStart: div.lineStart,
+      lineEnd: div.lineEnd,
+      caption,
+      subfigures,
+      layoutNcol: Number.parseInt(readDivAttribute(startMatch[2], "layout-ncol"), 10) || 0,
+      layoutNrow: Number.parseInt(readDivAttribute(startMatch[2], "layout-nrow"), 10) || 0
+    });
   }
 
-  getTheoremDescriptors(index) {
-    return Array.from(index.labels.values())
-      .filter((descriptor) => descriptor.kind === "theorem")
-      .sort((a, b) => a.lineStart - b.lineStart);
-  }
+  return panels;
+}
 
-  getSectionBounds(sectionInfo) {
-    if (
-      !sectionInfo ||
-      !Number.isFinite(sectionInfo.lineStart) ||
-      !Number.isFinite(sectionInfo.lineEnd)
-    ) {
-      return null;
+function unquoteOptionValue(value) {
+  const text = String(value || "").trim();
+  const quoted = text.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2] : text;
+}
+
+function collectListingTargets(structure) {
+  const { lineInfo } = structure;
+  const targets = [];
+
+  for (const fence of structure.fences) {
+    const info = fence.info;
+    let label = "";
+    let caption = "";
+    if (info.includes("{")) {
+      const labelMatch = info.match(LISTING_ATTRIBUTE_LABEL_PATTERN);
+      const captionMatch = info.match(LISTING_ATTRIBUTE_CAPTION_PATTERN);
+      label = labelMatch ? labelMatch[1] : "";
+      caption = captionMatch ? captionMatch[1] || captionMatch[2] || captionMatch[3] || "" : "";
+    }
+
+    const end = fence.lineEnd;
+    let bodyStart = fence.lineStart + 1;
+    while (bodyStart < end && LISTING_OPTION_LINE_PATTERN.test(lineInfo[bodyStart].content)) {
+      const optionMatch = lineInfo[bodyStart].content.match(LISTING_OPTION_PATTERN);
+      if (optionMatch && optionMatch[1] === "lst-label") {
+        label = label || unquoteOptionValue(optionMatch[2]);
+      } else if (optionMatch && optionMatch[1] === "lst-cap") {
+        caption = caption || unquoteOptionValue(optionMatch[2]);
+      }
+      bodyStart += 1;
+    }
+
+    if (/^lst-[A-Za-z0-9_-]+$/.test(label)) {
+      const bodyLines = lineInfo.slice(bodyStart, end).map((line) => line.content);
+      const firstBodyLine = bodyLines.find((line) => line.trim()) || "";
+      targets.push({
+        label,
+        lineStart: fence.lineStart,
+        lineEnd: end,
+        caption,
+        bodyPreview: firstBodyLine.trim()
+      });
     }
+  }
 
-    return {
-      start: Number(sectionInfo.lineStart),
-      end: Number(sectionInfo.lineEnd)
-    };
+  return targets;
+}
+
+function findFrontmatterEnd(lines) {
+  if (lines.length === 0 || lines[0].trim() !== "---") {
+    return 0;
   }
 
-  findTheoremMatchForSection(index, sectionInfo, directText) {
-    const theoremDescriptors = this.getTheoremDescriptors(index);
-    if (theoremDescriptors.length === 0) {
-      return null;
+  for (let i = 1; i < lines.length; i += 1) {
+    if (/^(?:---|\.\.\.)\s*$/.test(lines[i])) {
+      return i + 1;
     }
+  }
+  return 0;
+}
 
-    const directStart = directText.match(THEOREM_START_PREFIX_PATTERN);
-    if (directStart) {
-      const descriptor = index.labels.get(directStart[1]);
-      if (!descriptor || descriptor.kind !== "theorem") {
-        return null;
-      }
-      return {
-        descriptor,
-        isStartSection: true,
-        isFullyInside: true,
-        sectionBounds: this.getSectionBounds(sectionInfo)
-      };
+function collectSectionHeadings(structure, headingShift = 0) {
+  const headings = [];
+  const isTheoremDiv = (div) => {
+    return structure.patterns.theoremStartPrefix.test(div.opener) || PROOF_START_PATTERN.test(div.opener);
+  };
+
+  structure.lineInfo.forEach((info, i) => {
+    // Headings inside blockquotes, callouts, list items and theorem blocks are not sections.
+    if (info.kind !== "text" || info.prefix || isInsideDiv(info.div, isTheoremDiv)) {
+      return;
     }
 
-    if (THEOREM_END_PATTERN.test(directText)) {
-      const sectionBounds = this.getSectionBounds(sectionInfo);
-      if (!sectionBounds) {
-        return null;
-      }
-      const descriptor = theoremDescriptors.find((item) => {
-        return item.lineEnd >= sectionBounds.start && item.lineStart <= sectionBounds.end;
-      });
-      if (!descriptor) {
-        return null;
-      }
-      return {
-        descriptor,
-        isStartSection: false,
-        isFullyInside: true,
-        sectionBounds
-      };
+    const headingMatch = cachedLineScan(info, "heading", (content) => {
+      return content.match(/^ {0,3}(#{1,6})\s+(.*?)\s*$/);
+    });
+    if (!headingMatch) {
+      return;
     }
+    const unnumbered = /\{(?:[^}]*\s)?(?:-|\.unnumbered)(?:\s[^}]*)?\}\s*$/.test(headingMatch[2]);
 
-    const sectionBounds = this.getSectionBounds(sectionInfo);
-    if (!sectionBounds) {
-      return null;
+    const level = headingMatch[1].length + headingShift;
+    if (level >= 1 && level <= MAX_HEADING_LEVEL) {
+      headings.push({ line: i, level, text: headingMatch[2], unnumbered });
     }
+  });
 
-    const descriptor = theoremDescriptors.find((item) => {
-      return item.lineEnd >= sectionBounds.start && item.lineStart <= sectionBounds.end;
-    });
-    if (!descriptor) {
-      return null;
+  return headings;
+}
+
+// Unnumbered headings keep their place in the list, so their labels can still be targets,
+// but leave the counters alone.
+function numberSectionHeadings(headings) {
+  const counters = new Array(MAX_HEADING_LEVEL).fill(0);
+  return headings.map((heading) => {
+    if (heading.unnumbered) {
+      return Object.assign({}, heading, { counters: [] });
+    }
+    counters[heading.level - 1] += 1;
+    counters.fill(0, heading.level);
+    return Object.assign({}, heading, { counters: counters.slice() });
+  });
+}
+
+function buildSectionLookup(headings, depth) {
+  if (!depth) {
+    return () => "";
+  }
+
+  const snapshots = headings.map((heading) => {
+    return { line: heading.line, section: heading.counters.slice(0, depth) };
+  });
+
+  return (line) => {
+    let left = 0;
+    let right = snapshots.length - 1;
+    while (left <= right) {
+      const mid = (left + right) >> 1;
+      if (snapshots[mid].line < line) {
+        left = mid + 1;
+      } else {
+        right = mid - 1;
+      }
     }
+    const section = right >= 0 ? snapshots[right].section : [];
+    return section.some((value) => value > 0) ? section.join(".") : "";
+  };
+}
 
-    const isStartSection = sectionBounds.start === descriptor.lineStart;
-    const isFullyInside =
-      sectionBounds.start >= descriptor.lineStart && sectionBounds.end <= descriptor.lineEnd;
+// Copies the token's items with `ch`, the column of each item's `@` in `text`.
+function locateReferenceItems(text, token) {
+  let cursor = token.start;
+  return token.items.map((item) => {
+    const ch = text.indexOf("@", Math.max(cursor, text.indexOf(item.raw, cursor)));
+    cursor = ch + 1;
+    return Object.assign({ ch }, item);
+  });
+}
 
-    if (!isStartSection && !isFullyInside) {
-      return null;
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_value, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
     }
+    previous = current;
+  }
+  return previous[b.length];
+}
 
-    return {
-      descriptor,
-      isStartSection,
-      isFullyInside,
-      sectionBounds
-    };
+// Returns the candidate a typo most likely meant, or "" when nothing is close enough. The allowed
+// edit distance grows with the label length, so long labels tolerate a few more slips.
+function findClosestLabel(label, candidates) {
+  const limit = Math.max(2, Math.floor(label.length / 4));
+  let best = "";
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (candidate === label || Math.abs(candidate.length - label.length) > limit) {
+      continue;
+    }
+    const distance = editDistance(label, candidate);
+    if (distance < bestDistance || (distance === bestDistance && candidate < best)) {
+      best = candidate;
+      bestDistance = distance;
+    }
   }
+  return bestDistance <= limit ? best : "";
+}
 
-  async renderTheoremSection(element, theoremMatch, sourcePath, source, index) {
-    if (!(element instanceof HTMLElement) || !theoremMatch) {
+function maskInlineSpans(line) {
+  const blank = (text) => " ".repeat(text.length);
+  return line.replace(INLINE_CODE_PATTERN, blank).replace(INLINE_MATH_PATTERN, blank);
+}
+
+// Scans prose the way reading view renders it: front matter, code fences, display math,
+// comments and inline code or math are skipped, so every hit is a reference the preview
+// would turn into a link.
+function collectSourceReferences(structure) {
+  const references = [];
+  structure.lineInfo.forEach((info, i) => {
+    if (info.kind !== "text") {
       return;
     }
 
-    const { descriptor, isStartSection, isFullyInside, sectionBounds } = theoremMatch;
-    if (isStartSection) {
-      const theoremNode = await this.createTheoremNodeFromSource(
-        descriptor,
-        sourcePath,
-        source,
-        index
-      );
-      element.replaceChildren(theoremNode);
-      this.debugLog(sourcePath, "render theorem from section", {
-        label: descriptor.label,
-        lineStart: sectionBounds ? sectionBounds.start : null,
-        lineEnd: sectionBounds ? sectionBounds.end : null
+    const tokens = cachedLineScan(info, "references", (content) => {
+      const masked = maskInlineSpans(content);
+      return findReferenceTokens(masked, structure.patterns).map((token) => {
+        return { ch: token.start, end: token.end, raw: token.raw, items: locateReferenceItems(masked, token) };
       });
+    });
+    for (const token of tokens) {
+      references.push(Object.assign({ line: i }, token));
+    }
+  });
+  return references;
+}
+
+function collectInvalidLabels(structure) {
+  const invalid = [];
+  structure.lineInfo.forEach((info, i) => {
+    if (info.kind === "code" || info.kind === "fence" || info.kind === "comment") {
       return;
     }
 
-    if (isFullyInside) {
-      if (element.childNodes.length > 0) {
-        element.replaceChildren();
+    const labels = cachedLineScan(info, "invalidLabels", (content) => {
+      const found = [];
+      const { labelCandidate, labelExact } = structure.patterns;
+      labelCandidate.lastIndex = 0;
+      let match = labelCandidate.exec(content);
+      while (match) {
+        if (!labelExact.test(match[1])) {
+          found.push({ label: match[1], ch: match.index + 2 });
+        }
+        match = labelCandidate.exec(content);
       }
-      this.debugLog(sourcePath, "suppress overlapped theorem section", {
-        label: descriptor.label,
-        lineStart: sectionBounds ? sectionBounds.start : null,
-        lineEnd: sectionBounds ? sectionBounds.end : null
-      });
-      return;
+      return found;
+    });
+    for (const label of labels) {
+      invalid.push({ label: label.label, line: i, ch: label.ch });
     }
-  }
+  });
+  return invalid;
+}
 
-  getTheoremDescriptorsForSection(index, sectionBounds) {
-    if (!sectionBounds) {
-      return [];
+// Locates the `{#label}` (or `lst-label:` value) inside a descriptor's line range.
+function findLabelPosition(lines, descriptor) {
+  const pattern = new RegExp(`(?:#|lst-label:\\s*)(${descriptor.label})(?![A-Za-z0-9_-])`);
+  const lastLine = Math.min(lines.length - 1, descriptor.lineEnd);
+  for (let line = descriptor.lineStart; line <= lastLine; line += 1) {
+    const match = (lines[line] || "").match(pattern);
+    if (match) {
+      return { line, ch: match.index + match[0].length - descriptor.label.length };
     }
+  }
+  return { line: descriptor.lineStart, ch: 0 };
+}
 
-    return this.getTheoremDescriptors(index).filter((descriptor) => {
-      return descriptor.lineStart >= sectionBounds.start && descriptor.lineStart <= sectionBounds.end;
-    });
+// Applies `{ line, ch, length, text }` edits that were all computed against `lines`.
+function applyLineEdits(lines, edits) {
+  const result = lines.slice();
+  const sorted = edits.slice().sort((a, b) => b.line - a.line || b.ch - a.ch);
+  for (const edit of sorted) {
+    const line = result[edit.line];
+    result[edit.line] = line.slice(0, edit.ch) + edit.text + line.slice(edit.ch + edit.length);
   }
+  return result;
+}
 
-  async renderSourceFragment(lines, startLine, endLine, sourcePath, index) {
-    if (!Array.isArray(lines) || lines.length === 0) {
-      return [];
-    }
+// Joins lines split from `source` with its own line breaks, so CRLF notes keep them.
+function joinSourceLines(lines, source) {
+  const breaks = source.match(/\r?\n/g) || [];
+  return lines.map((line, index) => line + (breaks[index] || "")).join("");
+}
 
-    const start = Math.max(0, Math.min(startLine, lines.length - 1));
-    const end = Math.max(start, Math.min(endLine, lines.length - 1));
-    if (end < start) {
-      return [];
+// The part of a new label after its prefix: the first few ASCII words of a title or selection,
+// lowercased and joined by dashes ("Cauchy–Schwarz inequality" → "cauchy-schwarz-inequality").
+function slugifyLabel(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, LABEL_SLUG_MAX_WORDS)
+    .join("-");
+}
+
+// Numbers the slug (`-2`, `-3`, ...) until the label is free; text without usable words
+// falls back to `prefix-1`, `prefix-2`, ...
+function createUniqueLabel(prefix, text, isTaken) {
+  const slug = slugifyLabel(text);
+  if (!slug) {
+    let number = 1;
+    while (isTaken(`${prefix}-${number}`)) {
+      number += 1;
     }
+    return `${prefix}-${number}`;
+  }
 
-    const rawLines = lines.slice(start, end + 1);
-    const sanitizedLines = [];
-    let inCodeFence = false;
-    let codeFenceMarker = "";
-    let codeFenceLength = 0;
-
-    for (const line of rawLines) {
-      const codeFenceMatch = line.match(/^(\s*)(`{3,}|~{3,})/);
-      if (codeFenceMatch) {
-        const marker = codeFenceMatch[2].charAt(0);
-        const length = codeFenceMatch[2].length;
-
-        if (!inCodeFence) {
-          inCodeFence = true;
-          codeFenceMarker = marker;
-          codeFenceLength = length;
-        } else if (codeFenceMarker === marker && length >= codeFenceLength) {
-          inCodeFence = false;
-          codeFenceMarker = "";
-          codeFenceLength = 0;
-        }
+  let label = `${prefix}-${slug}`;
+  for (let number = 2; isTaken(label); number += 1) {
+    label = `${prefix}-${slug}-${number}`;
+  }
+  return label;
+}
 
-        sanitizedLines.push(line);
-        continue;
-      }
+// The paragraph around a reference, cut to `radius` characters on each side of it.
+function extractParagraphSnippet(lines, line, ch, radius = BACKLINK_SNIPPET_RADIUS) {
+  let start = line;
+  while (start > 0 && lines[start - 1].trim()) {
+    start -= 1;
+  }
+  let end = line;
+  while (end + 1 < lines.length && lines[end + 1].trim()) {
+    end += 1;
+  }
 
-      if (!inCodeFence) {
-        const trimmed = line.trim();
-        if (EQUATION_LABEL_ONLY_PATTERN.test(trimmed)) {
-          continue;
-        }
-        if (trimmed.startsWith(":::")) {
-          continue;
-        }
-      }
+  let head = lines.slice(start, line).concat(lines[line].slice(0, ch)).join(" ");
+  let tail = [lines[line].slice(ch)].concat(lines.slice(line + 1, end + 1)).join(" ");
+  head = head.replace(/\s+/g, " ").trimStart();
+  tail = tail.replace(/\s+/g, " ").trimEnd();
+  if (head.length > radius) {
+    head = `...${head.slice(-radius)}`;
+  }
+  if (tail.length > radius) {
+    tail = `${tail.slice(0, radius)}...`;
+  }
+  return head + tail;
+}
+
+function countDiagnostics(diagnostics) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const diagnostic of diagnostics) {
+    counts[diagnostic.severity] += 1;
+  }
+  return counts;
+}
+
+function describeDiagnostics(result) {
+  const noteCount = `${result.filePaths.length} note${result.filePaths.length === 1 ? "" : "s"}`;
+  if (result.diagnostics.length === 0) {
+    return `No crossref problems in ${noteCount}`;
+  }
+
+  const counts = countDiagnostics(result.diagnostics);
+  const parts = [];
+  if (counts.error) {
+    parts.push(`${counts.error} error${counts.error === 1 ? "" : "s"}`);
+  }
+  if (counts.warning) {
+    parts.push(`${counts.warning} warning${counts.warning === 1 ? "" : "s"}`);
+  }
+  if (counts.info) {
+    parts.push(`${counts.info} unused label${counts.info === 1 ? "" : "s"}`);
+  }
+  return `${parts.join(", ")} in ${noteCount}`;
+}
 
-      sanitizedLines.push(line);
+// One `path:line:column severity type message` line per problem, the shape compilers and
+// linters print, so the report can be pasted next to `quarto render` output.
+function formatDiagnosticsReport(result) {
+  const lines = result.diagnostics.map((diagnostic) => {
+    return `${diagnostic.filePath}:${diagnostic.line + 1}:${diagnostic.ch + 1} ${diagnostic.severity} ${diagnostic.type} ${diagnostic.message}`;
+  });
+  lines.push(describeDiagnostics(result));
+  return lines.join("\n");
+}
+
+// `structure` may be passed in when the caller already has it for `source`, typically
+// from `updateBlockStructure`.
+function parseCrossrefIndex(source, options = {}, structure = parseBlockStructure(source, options.patterns)) {
+  const lineOffsets = buildLineOffsets(source);
+  const { lines, lineInfo } = structure;
+  const labels = new Map();
+  const duplicates = [];
+  const counters = new Map();
+  const theoremCounters = options.theoremCounters || {};
+  const headings = numberSectionHeadings(collectSectionHeadings(structure, options.headingShift || 0));
+  const numberedHeadings = headings.filter((heading) => !heading.unnumbered);
+  const sectionAt = buildSectionLookup(numberedHeadings, options.sectionDepth || 0);
+  const theoremSectionAt = Number.isInteger(options.theoremSectionDepth)
+    ? buildSectionLookup(numberedHeadings, options.theoremSectionDepth)
+    : sectionAt;
+
+  const addLabel = (label, kind, startOffset, endOffset, title = "", details = null) => {
+    const prefix = label.split("-")[0];
+    const lineStart = offsetToLine(lineOffsets, startOffset);
+    const lineEnd = offsetToLine(lineOffsets, Math.max(startOffset, endOffset - 1));
+    if (labels.has(label)) {
+      // The first definition keeps the number; later ones are only recorded for diagnostics.
+      duplicates.push({ label, kind, prefix, lineStart, lineEnd, firstLine: labels.get(label).lineStart });
+      return;
     }
 
-    const markdown = sanitizedLines.join("\n");
-    if (!markdown.trim()) {
-      return [];
+    const section = (kind === "theorem" ? theoremSectionAt : sectionAt)(lineStart);
+    let number = 0;
+    if (!details || !Number.isFinite(details.number)) {
+      const counterName = kind === "theorem" ? theoremCounters[prefix] || prefix : kind;
+      const counterKey = `${counterName}@${section}`;
+      number = (counters.get(counterKey) || 0) + 1;
+      counters.set(counterKey, number);
     }
 
-    const wrapper = document.createElement("div");
-    await MarkdownRenderer.renderMarkdown(markdown, wrapper, sourcePath, this);
+    labels.set(label, Object.assign({
+      label,
+      kind,
+      prefix,
+      number,
+      section,
+      title,
+      lineStart,
+      lineEnd
+    }, details));
+  };
+  const lineRangeEndOffset = (endLine) => {
+    return endLine + 1 < lineOffsets.length ? lineOffsets[endLine + 1] : source.length;
+  };
 
-    const sectionTargets = this.selectTargetsForSection(index, {
-      lineStart: start,
-      lineEnd: end
-    });
-    const figureLabels = sectionTargets
-      .filter((descriptor) => descriptor.kind === "figure")
-      .map((descriptor) => descriptor.label);
+  // A label-only `{#eq-...}` line may follow the block after blank lines.
+  const findTrailingEquationLabel = (afterLine) => {
+    let lookAhead = afterLine + 1;
+    while (lookAhead < lines.length && lineInfo[lookAhead].kind === "blank") {
+      lookAhead += 1;
+    }
+    const labelMatch =
+      lookAhead < lines.length && lineInfo[lookAhead].kind === "text"
+        ? lineInfo[lookAhead].content.trim().match(EQUATION_LABEL_ONLY_PATTERN)
+        : null;
+    return labelMatch ? { label: labelMatch[1], line: lookAhead } : null;
+  };
 
-    this.decorateFigureTargets(wrapper, figureLabels, index);
-    this.stripLabelTokens(wrapper);
-    this.decorateReferences(wrapper, index, sourcePath);
-    this.cleanupOrphanFenceMarkers(wrapper);
-    this.cleanupEmptyParagraphs(wrapper);
+  for (const math of structure.maths) {
+    if (!math.closed) {
+      continue;
+    }
 
-    return Array.from(wrapper.childNodes);
+    const closing = lineInfo[math.lineEnd].content.trim();
+    const closeMatch =
+      math.lineStart === math.lineEnd
+        ? closing.match(EQUATION_SINGLE_LINE_PATTERN)
+        : closing.match(EQUATION_FENCE_CLOSE_PATTERN);
+    let label = closeMatch ? closeMatch[1] || "" : "";
+    let blockEndLine = math.lineEnd;
+    if (!label) {
+      const trailing = findTrailingEquationLabel(math.lineEnd);
+      if (!trailing) {
+        continue;
+      }
+      label = trailing.label;
+      blockEndLine = trailing.line;
+    }
+
+    addLabel(label, "equation", lineOffsets[math.lineStart] || 0, lineRangeEndOffset(blockEndLine));
   }
 
-  async renderTheoremMixedSection(
-    element,
-    descriptors,
-    sectionBounds,
-    sourcePath,
-    source,
-    index
-  ) {
-    if (!(element instanceof HTMLElement) || !Array.isArray(descriptors) || descriptors.length === 0) {
-      return false;
+  const figurePanels = collectFigurePanels(structure);
+  const figureEntries = figurePanels.map((panel) => ({ line: panel.lineStart, panel }));
+  const figurePattern =
+    /!\[((?:[^[\]]|\[[^[\]]*\])*)\]\([^)]+\)\s*\{#(fig-[A-Za-z0-9_-]+)(?:\s[^}]*)?\}/g;
+  lineInfo.forEach((info, line) => {
+    if (info.kind !== "text") {
+      return;
     }
-
-    const lines = source.split(/\r?\n/);
-    const sorted = descriptors.slice().sort((a, b) => {
-      if (a.lineStart !== b.lineStart) {
-        return a.lineStart - b.lineStart;
+    const images = cachedLineScan(info, "figures", (content) => {
+      const found = [];
+      figurePattern.lastIndex = 0;
+      let match = figurePattern.exec(content);
+      while (match) {
+        found.push({ label: match[2], caption: (match[1] || "").trim(), start: match.index, end: figurePattern.lastIndex });
+        match = figurePattern.exec(content);
       }
-      return a.lineEnd - b.lineEnd;
+      return found;
     });
+    if (images.length === 0 || figurePanels.some((panel) => line > panel.lineStart && line < panel.lineEnd)) {
+      return;
+    }
 
-    const nodes = [];
-    let cursor = sectionBounds.start;
-    const overlappingLeadingDescriptors = Array.from(index.labels.values()).filter((descriptor) => {
-      if (descriptor.kind !== "equation" && descriptor.kind !== "theorem") {
-        return false;
-      }
-      return descriptor.lineStart < sectionBounds.start && descriptor.lineEnd >= sectionBounds.start;
-    });
-    if (overlappingLeadingDescriptors.length > 0) {
-      const maxOverlapEnd = overlappingLeadingDescriptors.reduce((maxEnd, descriptor) => {
-        return Math.max(maxEnd, descriptor.lineEnd);
-      }, sectionBounds.start - 1);
-      cursor = Math.min(sectionBounds.end + 1, maxOverlapEnd + 1);
-      this.debugLog(sourcePath, "skip leading overlapped descriptor tail", {
-        overlaps: overlappingLeadingDescriptors.map((descriptor) => {
-          return {
-            label: descriptor.label,
-            kind: descriptor.kind,
-            lineStart: descriptor.lineStart,
-            lineEnd: descriptor.lineEnd
-          };
-        }),
-        skipUntil: cursor,
-        lineStart: sectionBounds.start,
-        lineEnd: sectionBounds.end
+    for (const image of images) {
+      figureEntries.push({
+        line,
+        label: image.label,
+        caption: image.caption,
+        start: lineOffsets[line] + image.start,
+        end: lineOffsets[line] + image.end
       });
     }
+  });
 
-    for (const descriptor of sorted) {
-      if (descriptor.lineStart > cursor) {
-        const leadingNodes = await this.renderSourceFragment(
-          lines,
-          cursor,
-          descriptor.lineStart - 1,
-          sourcePath,
-          index
-        );
-        nodes.push(...leadingNodes);
+  figureEntries.sort((a, b) => a.line - b.line);
+  for (const entry of figureEntries) {
+    if (!entry.panel) {
+      addLabel(entry.label, "figure", entry.start, entry.end, "", { caption: entry.caption });
+      continue;
+    }
+
+    const panel = entry.panel;
+    addLabel(
+      panel.label,
+      "figure",
+      lineOffsets[panel.lineStart] || 0,
+      lineRangeEndOffset(panel.lineEnd),
+      "",
+      {
+        isPanel: true,
+        caption: panel.caption,
+        subfigures: panel.subfigures,
+        layoutNcol: panel.layoutNcol,
+        layoutNrow: panel.layoutNrow
       }
+    );
 
-      const theoremNode = await this.createTheoremNodeFromSource(
-        descriptor,
-        sourcePath,
-        source,
-        index
-      );
-      nodes.push(theoremNode);
-      cursor = Math.max(cursor, descriptor.lineEnd + 1);
+    const parent = labels.get(panel.label);
+    if (!parent || !parent.isPanel || parent.lineStart !== panel.lineStart) {
+      continue;
     }
-
-    if (cursor <= sectionBounds.end) {
-      const trailingNodes = await this.renderSourceFragment(
-        lines,
-        cursor,
-        sectionBounds.end,
-        sourcePath,
-        index
+    for (const subfigure of panel.subfigures) {
+      if (!subfigure.label) {
+        continue;
+      }
+      addLabel(
+        subfigure.label,
+        "figure",
+        lineOffsets[subfigure.line] || 0,
+        lineRangeEndOffset(subfigure.line),
+        "",
+        {
+          number: parent.number,
+          section: parent.section,
+          parent: parent.label,
+          subIndex: subfigure.subIndex,
+          caption: subfigure.caption
+        }
       );
-      nodes.push(...trailingNodes);
-    }
-
-    if (nodes.length === 0) {
-      return false;
     }
+  }
 
-    element.replaceChildren(...nodes);
-    const sectionTargets = this.selectTargetsForSection(index, {
-      lineStart: sectionBounds.start,
-      lineEnd: sectionBounds.end
-    });
-    const figureLabels = sectionTargets
-      .filter((descriptor) => descriptor.kind === "figure")
-      .map((descriptor) => descriptor.label);
-    this.decorateFigureTargets(element, figureLabels, index);
-    this.stripLabelTokens(element);
-    this.decorateReferences(element, index, sourcePath);
-    this.cleanupOrphanFenceMarkers(element);
-    this.cleanupEmptyParagraphs(element);
+  for (const table of collectTableTargets(structure)) {
+    addLabel(
+      table.label,
+      "table",
+      lineOffsets[table.lineStart] || 0,
+      lineRangeEndOffset(table.lineEnd),
+      "",
+      {
+        tableStart: table.tableStart,
+        tableEnd: table.tableEnd,
+        caption: table.caption
+      }
+    );
+  }
 
-    this.debugLog(sourcePath, "render theorem mixed section", {
-      labels: sorted.map((descriptor) => descriptor.label),
-      lineStart: sectionBounds.start,
-      lineEnd: sectionBounds.end,
-      nodeCount: nodes.length
-    });
-    return true;
+  for (const listing of collectListingTargets(structure)) {
+    addLabel(
+      listing.label,
+      "listing",
+      lineOffsets[listing.lineStart] || 0,
+      lineRangeEndOffset(listing.lineEnd),
+      "",
+      {
+        caption: listing.caption,
+        bodyPreview: listing.bodyPreview
+      }
+    );
   }
 
-  findEquationRenderInfoForSection(index, sectionInfo) {
-    if (!index || !index.labels || !sectionInfo) {
-      return { startDescriptors: [], insideDescriptor: null };
+  for (const heading of headings) {
+    const sectionMatch = heading.text.match(SECTION_LABEL_PATTERN);
+    if (!sectionMatch) {
+      continue;
     }
 
-    const sectionStart = Number.isFinite(sectionInfo.lineStart) ? sectionInfo.lineStart : 0;
-    const sectionEnd = Number.isFinite(sectionInfo.lineEnd) ? sectionInfo.lineEnd : sectionStart;
-    const equationDescriptors = Array.from(index.labels.values())
-      .filter((descriptor) => descriptor.kind === "equation")
-      .sort((a, b) => {
-        if (a.lineStart !== b.lineStart) {
-          return a.lineStart - b.lineStart;
+    const path = heading.counters.slice(0, heading.level);
+    addLabel(
+      sectionMatch[1],
+      "section",
+      lineOffsets[heading.line] || 0,
+      lineRangeEndOffset(heading.line),
+      heading.text.slice(0, sectionMatch.index).trim(),
+      heading.unnumbered
+        ? { number: 0, section: "", level: heading.level, unnumbered: true }
+        : {
+          number: path[path.length - 1],
+          section: path.slice(0, -1).join("."),
+          level: heading.level
         }
-        return a.lineEnd - b.lineEnd;
-      });
-
-    const startDescriptors = equationDescriptors.filter((descriptor) => {
-      return descriptor.lineStart >= sectionStart && descriptor.lineStart <= sectionEnd;
-    });
+    );
+  }
 
-    const insideDescriptor = equationDescriptors.find((descriptor) => {
-      return sectionStart >= descriptor.lineStart && sectionEnd <= descriptor.lineEnd;
-    });
+  for (const div of structure.divs) {
+    const startMatch = div.opener.match(structure.patterns.theoremStart);
+    if (!startMatch) {
+      continue;
+    }
 
-    return { startDescriptors, insideDescriptor };
+    const label = startMatch[1];
+    const heading = findDivHeading(structure, div);
+    let title = heading ? heading.text : "";
+    if (!title && div.implicitEnd && div.lineEnd > div.lineStart) {
+      // An unclosed block has no heading; its first line stands in as the title.
+      title = lineInfo[div.lineStart + 1].content.trim().replace(/^#+\s*/, "").trim();
+    }
+    addLabel(label, "theorem", lineOffsets[div.lineStart] || 0, lineRangeEndOffset(div.lineEnd), title);
   }
 
-  extractEquationBodyFromDescriptor(descriptor, source) {
-    if (!descriptor || !source) {
-      return "";
-    }
+  const references = collectSourceReferences(structure);
 
-    const lines = source.split(/\r?\n/);
-    const start = Math.max(0, Math.min(descriptor.lineStart, lines.length - 1));
-    const end = Math.max(start, Math.min(descriptor.lineEnd, lines.length - 1));
-    const snippetLines = lines.slice(start, end + 1);
+  // Proof-like blocks are unnumbered and carry no label, so they live beside `labels`.
+  const theoremsByEndLine = new Map();
+  for (const descriptor of labels.values()) {
+    if (descriptor.kind === "theorem") {
+      theoremsByEndLine.set(descriptor.lineEnd, descriptor.label);
+    }
+  }
+  const proofs = [];
+  for (const div of structure.divs) {
+    const proofMatch = div.opener.match(PROOF_START_PATTERN);
+    if (!proofMatch) {
+      continue;
+    }
 
-    for (const line of snippetLines) {
-      const inlineMatch = line
-        .trim()
-        .match(/^\$\$\s*(.+?)\s*\$\$\s*(?:\{#eq-[A-Za-z0-9_-]+\})?\s*$/);
-      if (inlineMatch) {
-        return (inlineMatch[1] || "").trim();
-      }
+    let previous = div.lineStart - 1;
+    while (previous >= 0 && lineInfo[previous].kind === "blank") {
+      previous -= 1;
     }
+    proofs.push({
+      kind: "proof",
+      label: "",
+      blockClass: proofMatch[1] || proofMatch[3],
+      lineStart: div.lineStart,
+      lineEnd: div.lineEnd,
+      title: readDivAttribute(proofMatch[2], "name"),
+      of: theoremsByEndLine.get(previous) || ""
+    });
+  }
 
-    const bodyLines = [];
-    let inFence = false;
-    for (const line of snippetLines) {
-      const trimmed = line.trim();
-      if (!inFence) {
-        if (trimmed.startsWith("$$")) {
-          if (trimmed === "$$") {
-            inFence = true;
-            continue;
-          }
+  return {
+    labels,
+    proofs,
+    duplicates,
+    invalidLabels: collectInvalidLabels(structure),
+    references,
+    // Fingerprints that let callers skip work when an edit left the numbering or the
+    // citations alone. Unnumbered sections are cited by title, so theirs counts as a number.
+    labelKey: Array.from(labels.values(), (item) => {
+      return `${item.label}:${item.section}:${item.unnumbered ? item.title : item.number}`;
+    }).join("\n"),
+    referenceKey: references.map((reference) => `${reference.line}:${reference.ch}:${reference.raw}`).join("\n")
+  };
+}
 
-          const openInlineMatch = trimmed.match(/^\$\$\s*(.+?)\s*$/);
-          if (openInlineMatch && !EQUATION_FENCE_CLOSE_PATTERN.test(trimmed)) {
-            const openBody = (openInlineMatch[1] || "").trim();
-            if (openBody) {
-              bodyLines.push(openBody);
-            }
-            inFence = true;
-            continue;
-          }
+function isLivePreviewState(state) {
+  return Boolean(editorLivePreviewField && state.field(editorLivePreviewField, false));
+}
 
-          if (EQUATION_FENCE_CLOSE_PATTERN.test(trimmed)) {
-            continue;
-          }
-        }
-        continue;
-      }
+function isInsideCodeOrMath(state, pos) {
+  if (!syntaxTree) {
+    return false;
+  }
 
-      if (EQUATION_FENCE_CLOSE_PATTERN.test(trimmed)) {
-        break;
-      }
-      if (EQUATION_LABEL_ONLY_PATTERN.test(trimmed)) {
-        continue;
-      }
-      bodyLines.push(line);
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (CM_CODE_NODE_PATTERN.test(node.type.name)) {
+      return true;
     }
-
-    return bodyLines.join("\n").trim();
   }
+  return false;
+}
 
-  async createEquationNodeFromSource(descriptor, sourcePath, source, index) {
-    const wrapper = document.createElement("div");
-    wrapper.className = "crossref-equation";
-    this.applyTargetHost(wrapper, descriptor.label, "equation");
-
-    const body = this.extractEquationBodyFromDescriptor(descriptor, source);
-    const markdown = body ? `$$\n${body}\n$$` : "$$\n\\phantom{.}\n$$";
-    await MarkdownRenderer.renderMarkdown(markdown, wrapper, sourcePath, this);
-
-    let badge = wrapper.querySelector(".crossref-eq-number");
-    if (!badge) {
-      badge = document.createElement("span");
-      badge.className = "crossref-eq-number";
-      wrapper.appendChild(badge);
-    }
-    badge.dataset.label = descriptor.label;
-    badge.textContent = descriptorDisplay(descriptor);
+function selectionTouches(state, from, to) {
+  return state.selection.ranges.some((range) => range.from <= to && range.to >= from);
+}
 
-    this.stripLabelTokens(wrapper);
-    this.decorateReferences(wrapper, index, sourcePath);
-    this.cleanupEmptyParagraphs(wrapper);
-    return wrapper;
+function buildCrossrefEditorExtension(plugin) {
+  if (!RangeSetBuilder || !Decoration || !ViewPlugin || !WidgetType) {
+    return [];
   }
 
-  async renderEquationSection(element, descriptors, sourcePath, source, index, sectionInfo) {
-    if (!(element instanceof HTMLElement) || !Array.isArray(descriptors) || descriptors.length === 0) {
-      return;
-    }
-
-    const sortedDescriptors = descriptors.slice().sort((a, b) => {
-      if (a.lineStart !== b.lineStart) {
-        return a.lineStart - b.lineStart;
-      }
-      return a.lineEnd - b.lineEnd;
+  const refMark = Decoration.mark({ class: "cm-crossref-ref" });
+  const missingRefMark = Decoration.mark({ class: "cm-crossref-ref cm-crossref-ref-missing" });
+  const labelMark = Decoration.mark({ class: "cm-crossref-label" });
+  const lintMark = (problem) => {
+    // Without the tooltip extension the browser tooltip is the only place to show the message.
+    return Decoration.mark({
+      class: "cm-crossref-lint",
+      attributes: hoverTooltip ? {} : { title: problem.message }
     });
+  };
 
-    const nodes = [];
-    for (const descriptor of sortedDescriptors) {
-      const node = await this.createEquationNodeFromSource(descriptor, sourcePath, source, index);
-      nodes.push(node);
+  // `problems` are the token's unresolved items; their text inside the widget carries the
+  // same lint styling a source-mode token would.
+  class ReferenceWidget extends WidgetType {
+    constructor(token, segments, problems) {
+      super();
+      this.token = token;
+      this.segments = segments;
+      this.problems = problems;
+      this.key = JSON.stringify([segments, problems.map((problem) => problem.message)]);
+    }
+
+    eq(other) {
+      return other.key === this.key;
+    }
+
+    toDOM() {
+      const wrapper = document.createElement("span");
+      wrapper.className = "cm-crossref-ref-widget";
+      wrapper.appendChild(plugin.createReferenceNodes(this.segments, this.token));
+      for (const missing of wrapper.querySelectorAll(".crossref-ref-missing")) {
+        const problem = this.problems.find((entry) => entry.item.label === missing.dataset.crossrefMissing);
+        if (problem) {
+          missing.classList.add("cm-crossref-lint");
+          missing.title = problem.message;
+        }
+      }
+      return wrapper;
     }
-
-    element.replaceChildren(...nodes);
-    this.debugLog(sourcePath, "render equation section from source", {
-      labels: sortedDescriptors.map((descriptor) => descriptor.label),
-      lineStart: sectionInfo ? sectionInfo.lineStart : null,
-      lineEnd: sectionInfo ? sectionInfo.lineEnd : null
-    });
   }
 
-  async processSection(element, context) {
-    if (!context || !context.sourcePath) {
-      return;
-    }
-
-    if (this.isSourceRenderElement(element)) {
-      return;
-    }
-
-    if (element instanceof HTMLElement && element.closest(".crossref-theorem")) {
-      return;
+  class BadgeWidget extends WidgetType {
+    constructor(text, label, kind) {
+      super();
+      this.text = text;
+      this.label = label;
+      this.kind = kind;
     }
 
-    const sourcePath = context.sourcePath;
-    const source = await this.readCurrentSource(sourcePath);
-    if (!source) {
-      return;
+    eq(other) {
+      return other.text === this.text && other.label === this.label;
     }
 
-    const index = this.getCachedIndex(sourcePath, source);
-    const sectionInfo = context.getSectionInfo ? context.getSectionInfo(element) : null;
-    if (
-      element instanceof HTMLElement &&
-      sectionInfo &&
-      Number.isFinite(sectionInfo.lineStart) &&
-      Number.isFinite(sectionInfo.lineEnd)
-    ) {
-      element.dataset.crossrefLineStart = String(sectionInfo.lineStart);
-      element.dataset.crossrefLineEnd = String(sectionInfo.lineEnd);
+    toDOM() {
+      const badge = document.createElement("span");
+      badge.className = `cm-crossref-badge cm-crossref-badge-${this.kind}`;
+      badge.dataset.label = this.label;
+      badge.textContent = this.text;
+      return badge;
     }
+  }
 
-    const directText = normalizeText(element);
-    if (
-      this.isDebugSource(sourcePath) &&
-      (directText.includes(":::") ||
-        THEOREM_END_PATTERN.test(directText) ||
-        directText.startsWith("## "))
-    ) {
-      this.debugLog(sourcePath, "processSection candidate", {
-        lineStart: sectionInfo && sectionInfo.lineStart,
-        lineEnd: sectionInfo && sectionInfo.lineEnd,
-        text: shortText(directText)
-      });
-    }
+  const decorationPlugin = ViewPlugin.fromClass(
+    class {
+      constructor(view) {
+        this.problems = [];
+        this.rebuildTimer = null;
+        this.rebuildRequested = false;
+        this.decorations = this.buildDecorations(view);
+      }
 
-    const sectionBounds = this.getSectionBounds(sectionInfo);
-    if (sectionBounds && directText.includes(":::")) {
-      const theoremDescriptors = this.getTheoremDescriptorsForSection(index, sectionBounds);
-      if (theoremDescriptors.length > 0) {
-        const rendered = await this.renderTheoremMixedSection(
-          element,
-          theoremDescriptors,
-          sectionBounds,
-          sourcePath,
-          source,
-          index
-        );
-        if (rendered) {
+      update(update) {
+        if (update.docChanged) {
+          // While typing, the old decorations just move with the text; the note is
+          // reindexed and the decorations rebuilt once the editor has been idle.
+          const changes = update.changes;
+          this.decorations = this.decorations.map(changes);
+          this.problems = this.problems
+            .filter((problem) => !changes.touchesRange(problem.from, problem.to))
+            .map((problem) => Object.assign({}, problem, {
+              from: changes.mapPos(problem.from),
+              to: changes.mapPos(problem.to),
+              labelFrom: changes.mapPos(problem.labelFrom)
+            }));
+          this.scheduleRebuild(update.view);
+          return;
+        }
+        if (this.rebuildTimer) {
           return;
         }
-      }
-    }
-
-    const theoremMatch = this.findTheoremMatchForSection(index, sectionInfo, directText);
-    if (theoremMatch) {
-      await this.renderTheoremSection(element, theoremMatch, sourcePath, source, index);
-      return;
-    }
 
-    const equationRenderInfo = this.findEquationRenderInfoForSection(index, sectionInfo);
-    if (equationRenderInfo.startDescriptors.length > 0) {
-      await this.renderEquationSection(
-        element,
-        equationRenderInfo.startDescriptors,
-        sourcePath,
-        source,
-        index,
-        sectionInfo
-      );
-      return;
-    }
-    if (equationRenderInfo.insideDescriptor) {
-      if (element.childNodes.length > 0) {
-        element.replaceChildren();
+        if (
+          this.rebuildRequested ||
+          update.viewportChanged ||
+          update.selectionSet ||
+          update.focusChanged ||
+          isLivePreviewState(update.startState) !== isLivePreviewState(update.state)
+        ) {
+          this.rebuildRequested = false;
+          this.decorations = this.buildDecorations(update.view);
+        }
       }
-      this.debugLog(sourcePath, "suppress overlapped equation section", {
-        label: equationRenderInfo.insideDescriptor.label,
-        lineStart: sectionInfo ? sectionInfo.lineStart : null,
-        lineEnd: sectionInfo ? sectionInfo.lineEnd : null
-      });
-      return;
-    }
-
-    const sectionTargets = this.selectTargetsForSection(index, sectionInfo);
-
-    const figureLabels = sectionTargets
-      .filter((descriptor) => descriptor.kind === "figure")
-      .map((descriptor) => descriptor.label);
-
-    this.decorateFigureTargets(element, figureLabels, index);
-    this.stripLabelTokens(element);
-    this.decorateReferences(element, index, sourcePath);
-    this.cleanupOrphanFenceMarkers(element);
-    this.cleanupEmptyParagraphs(element);
-  }
 
-  selectTargetsForSection(index, sectionInfo) {
-    const descriptors = Array.from(index.labels.values()).sort((a, b) => {
-      if (a.lineStart !== b.lineStart) {
-        return a.lineStart - b.lineStart;
+      scheduleRebuild(view) {
+        window.clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = window.setTimeout(() => {
+          this.rebuildTimer = null;
+          this.rebuildRequested = true;
+          view.dispatch({});
+        }, EDITOR_REINDEX_DELAY_MS);
       }
-      return a.lineEnd - b.lineEnd;
-    });
 
-    if (!sectionInfo) {
-      return [];
-    }
+      destroy() {
+        window.clearTimeout(this.rebuildTimer);
+      }
 
-    const sectionStart = Number.isFinite(sectionInfo.lineStart) ? sectionInfo.lineStart : 0;
-    const sectionEnd = Number.isFinite(sectionInfo.lineEnd) ? sectionInfo.lineEnd : sectionStart;
+      buildDecorations(view) {
+        const builder = new RangeSetBuilder();
+        const ranges = [];
+        const problems = [];
+        const state = view.state;
+        const context = plugin.getEditorIndex(state);
+        const patterns = plugin.labelPatterns;
+        const addProblem = (problem) => {
+          problems.push(problem);
+          ranges.push({ from: problem.from, to: problem.to, decoration: lintMark(problem) });
+        };
+
+        for (const visible of view.visibleRanges) {
+          const chunk = state.doc.sliceString(visible.from, visible.to);
+
+          for (const token of findReferenceTokens(chunk, patterns)) {
+            const from = visible.from + token.start;
+            const to = visible.from + token.end;
+            const tokenProblems = context && !isInsideCodeOrMath(state, from)
+              ? plugin.getReferenceProblems(chunk, token, visible.from, context.index, context.filePath)
+              : [];
+            const decoration = this.referenceDecoration(state, context, token, from, to, tokenProblems);
+            ranges.push({ from, to, decoration });
+            if (decoration === refMark || decoration === missingRefMark) {
+              tokenProblems.forEach(addProblem);
+            } else {
+              // A replaced token hides marks; the widget styles its missing items itself.
+              problems.push(...tokenProblems);
+            }
+          }
 
-    return descriptors.filter((descriptor) => {
-      return descriptor.lineEnd >= sectionStart && descriptor.lineStart <= sectionEnd;
-    });
-  }
+          patterns.labelToken.lastIndex = 0;
+          let match = patterns.labelToken.exec(chunk);
+          while (match) {
+            const from = visible.from + match.index;
+            const to = from + match[0].length;
+            const multiline = match[0].includes("\n");
+            const problem = multiline ? null : this.duplicateLabelProblem(state, context, match[1], from, to);
+            const decoration =
+              multiline || problem ? labelMark : this.labelDecoration(state, context, match[1], from);
+            ranges.push({ from, to, decoration });
+            if (problem) {
+              addProblem(problem);
+            }
+            match = patterns.labelToken.exec(chunk);
+          }
+        }
+        this.problems = problems;
 
-  async readCurrentSource(sourcePath) {
-    let editorSource = "";
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    const isPreviewMode =
-      activeView &&
-      typeof activeView.getMode === "function" &&
-      activeView.getMode() === "preview";
-    if (
-      activeView &&
-      activeView.file &&
-      activeView.file.path === sourcePath &&
-      activeView.editor &&
-      !isPreviewMode
-    ) {
-      editorSource = activeView.editor.getValue();
-    }
+        ranges.sort((a, b) => {
+          if (a.from !== b.from) {
+            return a.from - b.from;
+          }
+          if (a.to !== b.to) {
+            return a.to - b.to;
+          }
+          return 0;
+        });
 
-    const file = this.app.vault.getAbstractFileByPath(sourcePath);
-    if (!file || typeof file.extension !== "string") {
-      return editorSource || "";
-    }
+        for (const range of ranges) {
+          builder.add(range.from, range.to, range.decoration);
+        }
 
-    try {
-      const diskSource = await this.app.vault.cachedRead(file);
-      if (!editorSource) {
-        return diskSource;
+        return builder.finish();
       }
 
-      const editorTheoremCount = countTheoremStartMarkers(editorSource);
-      const diskTheoremCount = countTheoremStartMarkers(diskSource);
+      referenceDecoration(state, context, token, from, to, problems) {
+        if (
+          !context ||
+          !isLivePreviewState(state) ||
+          selectionTouches(state, from, to) ||
+          isInsideCodeOrMath(state, from)
+        ) {
+          return refMark;
+        }
 
-      if (diskTheoremCount > editorTheoremCount) {
-        this.debugLog(sourcePath, "editor source fallback to disk snapshot", {
-          editorTheoremCount,
-          diskTheoremCount
-        });
-        return diskSource;
+        const segments = plugin.formatReferenceToken(token, context.index, context.filePath);
+        if (!segments.some((segment) => segment.link)) {
+          return missingRefMark;
+        }
+        return Decoration.replace({ widget: new ReferenceWidget(token, segments, problems) });
       }
 
-      if (editorTheoremCount > diskTheoremCount) {
-        return editorSource;
-      }
+      duplicateLabelProblem(state, context, label, from, to) {
+        if (!context || isInsideCodeOrMath(state, from)) {
+          return null;
+        }
 
-      if (diskSource.length > editorSource.length + 20) {
-        this.debugLog(sourcePath, "editor source fallback to longer disk snapshot", {
-          editorLength: editorSource.length,
-          diskLength: diskSource.length
+        const line = state.doc.lineAt(from).number - 1;
+        const duplicate = (context.index.duplicates || []).find((entry) => {
+          return entry.label === label && line >= entry.lineStart && line <= entry.lineEnd;
         });
-        return diskSource;
+        if (!duplicate) {
+          return null;
+        }
+        return {
+          from,
+          to,
+          message: `Duplicate label "${label}", first defined on line ${duplicate.firstLine + 1}`,
+          item: null
+        };
       }
 
-      return editorSource;
-    } catch (error) {
-      console.error("Crossref Preview: failed to read source file", error);
-      return editorSource || "";
-    }
-  }
+      labelDecoration(state, context, label, from) {
+        const descriptor = context ? context.index.labels.get(label) : null;
+        if (
+          !descriptor ||
+          !EDITOR_BADGE_KINDS.has(descriptor.kind) ||
+          !isLivePreviewState(state) ||
+          isInsideCodeOrMath(state, from)
+        ) {
+          return labelMark;
+        }
 
-  getCachedIndex(sourcePath, source) {
-    const hash = fastHash(source);
-    const cached = this.indexCache.get(sourcePath);
-    if (cached && cached.hash === hash) {
-      return cached.index;
-    }
+        const doc = state.doc;
+        const blockFrom = doc.line(Math.min(descriptor.lineStart + 1, doc.lines)).from;
+        const blockTo = doc.line(Math.min(descriptor.lineEnd + 1, doc.lines)).to;
+        if (selectionTouches(state, blockFrom, blockTo)) {
+          return labelMark;
+        }
 
-    const index = parseCrossrefIndex(source);
-    if (this.isDebugSource(sourcePath)) {
-      const theoremLabels = Array.from(index.labels.values())
-        .filter((item) => item.kind === "theorem")
-        .map((item) => item.label);
-      this.debugLog(sourcePath, "index rebuilt", {
-        labelCount: index.labels.size,
-        theoremLabels
-      });
+        const text = descriptorCaption(descriptor, plugin.getDocumentFormat(context.filePath));
+        return Decoration.replace({ widget: new BadgeWidget(text, label, descriptor.kind) });
+      }
+    },
+    {
+      decorations: (value) => value.decorations
     }
-    this.indexCache.set(sourcePath, { hash, index });
-    return index;
+  );
+
+  if (!hoverTooltip) {
+    return [decorationPlugin];
   }
 
-  getDescriptorForLabel(sourcePath, label) {
-    if (!sourcePath || !label) {
+  const lintTooltip = hoverTooltip((view, pos) => {
+    const value = view.plugin(decorationPlugin);
+    const problem = value ? value.problems.find((entry) => entry.from <= pos && entry.to >= pos) : null;
+    if (!problem) {
       return null;
     }
+    return {
+      pos: problem.from,
+      end: problem.to,
+      above: true,
+      create: () => ({ dom: plugin.createLintTooltip(view, problem) })
+    };
+  });
+  return [decorationPlugin, lintTooltip];
+}
 
-    const cached = this.indexCache.get(sourcePath);
-    const index = cached ? cached.index : null;
-    if (!index || !index.labels) {
-      return null;
-    }
-    return index.labels.get(label) || null;
-  }
+// The public API other plugins and scripts reach through
+// `app.plugins.plugins["obsidian-crossref-preview"].api`. Methods hand out copies with
+// formatted numbers instead of the plugin's own descriptors, whose fields may change; any
+// breaking change to this surface bumps `version`.
+function createCrossrefApi(plugin) {
+  const toDescriptor = (descriptor, filePath) => {
+    const format = plugin.getDocumentFormat(filePath);
+    return {
+      label: descriptor.label,
+      kind: descriptor.kind,
+      prefix: descriptor.prefix,
+      number: formatDescriptorNumber(descriptor, format),
+      text: descriptorDisplay(descriptor, format),
+      title: descriptor.title || "",
+      caption: descriptor.caption || "",
+      parent: descriptor.parent || null,
+      filePath,
+      lineStart: descriptor.lineStart,
+      lineEnd: descriptor.lineEnd
+    };
+  };
+  const readIndex = async (sourcePath) => {
+    const source = sourcePath ? await plugin.readCurrentSource(sourcePath) : "";
+    return source ? plugin.getCachedIndex(sourcePath, source) : { labels: new Map() };
+  };
 
-  async createTheoremNodeFromSource(descriptor, sourcePath, source, index) {
-    const lines = source.split(/\r?\n/);
-    const bodyStart = Math.max(0, descriptor.lineStart + 1);
-    const bodyEnd = Math.min(lines.length, Math.max(bodyStart, descriptor.lineEnd));
-    const bodyLines = lines.slice(bodyStart, bodyEnd);
-
-    let heading = descriptor.title || "";
-    for (let i = 0; i < bodyLines.length; i += 1) {
-      const headingMatch = bodyLines[i].match(/^\s*#{1,6}\s+(.+)\s*$/);
-      if (!headingMatch) {
-        continue;
+  return Object.freeze({
+    version: API_VERSION,
+
+    // Accepts `thm-main`, `@thm-main` or `@note#thm-main`, resolved as a reference in `sourcePath`.
+    async resolveLabel(reference, sourcePath = plugin.getActiveFilePath()) {
+      const text = String(reference || "").trim();
+      const query = text.startsWith("@") ? text : `@${text}`;
+      const [token] = findReferenceTokens(query, plugin.labelPatterns);
+      if (!token || token.raw !== query) {
+        return null;
       }
-      heading = headingMatch[1].trim();
-      bodyLines.splice(i, 1);
-      break;
-    }
 
-    const theorem = document.createElement("div");
-    theorem.className = `crossref-theorem crossref-theorem-${descriptor.prefix}`;
-    this.applyTargetHost(theorem, descriptor.label, "theorem");
+      const item = token.items[0];
+      const index = await readIndex(sourcePath);
+      await plugin.waitForVaultLabels(token.items, index, sourcePath);
+      const resolved = plugin.resolveReference(item.label, item.notePath, index, sourcePath);
+      return resolved ? toDescriptor(resolved.descriptor, resolved.filePath) : null;
+    },
+
+    async listDescriptors(filePath, kind = null) {
+      const descriptors = await plugin.getLabelDescriptors(filePath);
+      return descriptors
+        .filter((descriptor) => !kind || descriptor.kind === kind)
+        .map((descriptor) => toDescriptor(descriptor, filePath));
+    },
+
+    // Replaces every reference in `text` with its rendered form, as reading view would show it.
+    async renderReferences(text, sourcePath = plugin.getActiveFilePath()) {
+      const value = String(text || "");
+      const index = await readIndex(sourcePath);
+      const tokens = findReferenceTokens(value, plugin.labelPatterns);
+      await plugin.waitForVaultLabels(tokens.flatMap((token) => token.items), index, sourcePath);
+      let rendered = "";
+      let cursor = 0;
+      for (const token of tokens) {
+        const segments = plugin.formatReferenceToken(token, index, sourcePath);
+        rendered += value.slice(cursor, token.start);
+        rendered += segments.some((segment) => segment.link)
+          ? segments.map((segment) => segment.text).join("")
+          : token.raw;
+        cursor = token.end;
+      }
+      return rendered + value.slice(cursor);
+    },
 
-    const title = document.createElement("div");
-    title.className = "crossref-theorem-title";
-    const titlePrefix = descriptorDisplay(descriptor);
-    title.textContent = heading ? `${titlePrefix}. ${heading}` : titlePrefix;
-    theorem.appendChild(title);
+    // `index-changed` passes the note whose labels or numbers changed, or null after a
+    // settings change that can renumber every note.
+    on(name, callback, context) {
+      return plugin.apiEvents.on(name, callback, context);
+    },
 
-    const body = document.createElement("div");
-    body.className = "crossref-theorem-body";
-    const bodyMarkdown = bodyLines.join("\n").trim();
-    if (bodyMarkdown) {
-      await MarkdownRenderer.renderMarkdown(bodyMarkdown, body, sourcePath, this);
+    offref(ref) {
+      plugin.apiEvents.offref(ref);
     }
-    theorem.appendChild(body);
+  });
+}
 
-    this.stripLabelTokens(theorem);
-    this.decorateReferences(theorem, index, sourcePath);
-    this.cleanupEmptyParagraphs(theorem);
+class CrossrefReferenceSuggest extends EditorSuggest {
+  constructor(plugin) {
+    super(plugin.app);
+    this.plugin = plugin;
+  }
 
-    this.debugLog(sourcePath, "createTheoremNodeFromSource", {
-      label: descriptor.label,
-      heading: heading || "",
-      bodyLineCount: bodyLines.length
+  onTrigger(cursor, editor, file) {
+    const line = editor.getLine(cursor.line);
+    const before = line.slice(0, cursor.ch);
+    const match = before.match(/(?:^|[\s([{"'`.,;:!?，。；：、-])@([^\s@()[\]{}<>"'`,;]*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const query = match[1] || "";
+    return {
+      start: {
+        line: cursor.line,
+        ch: cursor.ch - query.length - 1
+      },
+      end: cursor,
+      query,
+      file
+    };
+  }
+
+  async getSuggestions(context) {
+    const filePath = context.file && context.file.path ? context.file.path : this.plugin.getActiveFilePath();
+    if (!filePath) {
+      return [];
+    }
+
+    const query = (context.query || "").toLowerCase();
+    const candidates = await this.plugin.getReferenceCandidates(filePath);
+    return candidates
+      .filter((item) => item.insertText.slice(1).toLowerCase().includes(query))
+      .slice(0, 40);
+  }
+
+  renderSuggestion(item, el) {
+    this.plugin.renderReferenceCandidate(item, el);
+  }
+
+  selectSuggestion(item) {
+    if (!this.context) {
+      return;
+    }
+
+    this.context.editor.replaceRange(
+      item.insertText,
+      this.context.start,
+      this.context.end
+    );
+  }
+}
+
+class CrossrefLabelSuggest extends EditorSuggest {
+  constructor(plugin) {
+    super(plugin.app);
+    this.plugin = plugin;
+  }
+
+  onTrigger(cursor, editor, file) {
+    const line = editor.getLine(cursor.line);
+    const before = line.slice(0, cursor.ch);
+    const match = before.match(/\{#([A-Za-z0-9_-]*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const query = match[1] || "";
+    return {
+      start: {
+        line: cursor.line,
+        ch: cursor.ch - query.length - 2
+      },
+      end: cursor,
+      query,
+      file
+    };
+  }
+
+  getSuggestions(context) {
+    const query = (context.query || "").toLowerCase();
+    return this.plugin.getLabelPrefixItems().filter((item) => item.prefix.includes(query));
+  }
+
+  renderSuggestion(item, el) {
+    const row = el.createDiv({ cls: "crossref-suggest-row" });
+    row.createSpan({ text: `{#${item.prefix}}`, cls: "crossref-suggest-main" });
+    row.createSpan({ text: item.desc, cls: "crossref-suggest-meta" });
+  }
+
+  selectSuggestion(item) {
+    if (!this.context) {
+      return;
+    }
+
+    const insertText = `{#${item.prefix}}`;
+    const start = this.context.start;
+    this.context.editor.replaceRange(insertText, start, this.context.end);
+    this.context.editor.setCursor({
+      line: start.line,
+      ch: start.ch + insertText.length - 1
+    });
+  }
+}
+
+class CrossrefPreviewPlugin extends Plugin {
+  async onload() {
+    this.indexCache = new Map();
+    this.vaultLabelPaths = new Map();
+    this.vaultIndexPromise = null;
+    this.vaultIndexReady = false;
+    this.incomingReferences = new Map();
+    this.noteStructures = new Map();
+    this.editorIndexes = new WeakMap();
+    this.indexGeneration = 0;
+    this.structureCache = null;
+    this.editorReindexTimers = new Map();
+    this.snapshots = new Map();
+    this.snapshotVersion = 0;
+    this.apiEvents = new Events();
+    this.api = createCrossrefApi(this);
+    this.documentFormats = new Map();
+    this.debugLogPath = `${this.app.vault.configDir}/${DEBUG_LOG_RELATIVE_PATH}`;
+    this.debugLogBuffer = [];
+    this.debugLogFlushTimer = null;
+    this.nativeFlashSuppressTimer = null;
+    this.settingsSaveTimer = null;
+    this.hoverParents = new WeakMap();
+    this.originalMarkdownRender = null;
+    this.originalMarkdownRenderMarkdown = null;
+    this.requestPreviewRefresh = debounce(() => this.refreshPreviews(), 300, true);
+
+    await this.loadSettings();
+    await this.resetDebugLogFile();
+
+    this.addSettingTab(new CrossrefSettingTab(this.app, this));
+
+    this.patchMarkdownRendererEquationLabels();
+
+    this.registerMarkdownPostProcessor(async (element, context) => {
+      await this.processSection(element, context);
+    });
+
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => {
+        if (file && file.path) {
+          this.recordDiskChange(file.path);
+          this.debugLog(file.path, "vault modify event");
+          this.indexVaultFile(file);
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.metadataCache.on("changed", (file, _data, cache) => {
+        if (!file || !file.path) {
+          return;
+        }
+        const cached = this.documentFormats.get(file.path);
+        const key = safeStringify(this.getQuartoFrontmatter(cache));
+        if (cached && cached.key !== key) {
+          this.documentFormats.delete(file.path);
+          this.indexGeneration += 1;
+          this.indexVaultFile(file);
+          this.apiEvents.trigger(INDEX_CHANGED_EVENT, file.path);
+          this.requestPreviewRefresh();
+        }
+      })
+    );
+
+    this.app.workspace.onLayoutReady(() => {
+      this.registerEvent(
+        this.app.vault.on("create", (file) => {
+          if (file && file.path) {
+            this.recordDiskChange(file.path);
+            this.indexVaultFile(file);
+          }
+        })
+      );
+    });
+
+    this.registerEvent(
+      this.app.vault.on("rename", (file, oldPath) => {
+        if (oldPath) {
+          this.noteStructures.delete(oldPath);
+          this.snapshots.delete(oldPath);
+          if (this.removeVaultIndexEntry(oldPath)) {
+            this.apiEvents.trigger(INDEX_CHANGED_EVENT, oldPath);
+          }
+        }
+        if (file && file.path) {
+          this.removeVaultIndexEntry(file.path);
+          this.recordDiskChange(file.path);
+          this.indexVaultFile(file);
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on("delete", (file) => {
+        if (file && file.path) {
+          this.noteStructures.delete(file.path);
+          this.snapshots.delete(file.path);
+          if (this.removeVaultIndexEntry(file.path)) {
+            this.apiEvents.trigger(INDEX_CHANGED_EVENT, file.path);
+          }
+          this.documentFormats.delete(file.path);
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.workspace.on("editor-change", (editor, view) => {
+        const filePath = view && view.file ? view.file.path : null;
+        if (filePath) {
+          this.recordEditorChange(filePath, view);
+          this.requestEditorReindex(filePath, editor);
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.workspace.on("file-open", (file) => {
+        if (file && file.path) {
+          this.recordDiskChange(file.path);
+        }
+      })
+    );
+
+    this.registerEvent(
+      this.app.workspace.on("layout-change", () => {
+        this.releaseClosedEditorSnapshots();
+      })
+    );
+
+    this.referenceSuggest = new CrossrefReferenceSuggest(this);
+    this.registerEditorSuggest(this.referenceSuggest);
+
+    this.labelSuggest = new CrossrefLabelSuggest(this);
+    this.registerEditorSuggest(this.labelSuggest);
+
+    const editorExtension = buildCrossrefEditorExtension(this);
+    if (editorExtension && editorExtension.length > 0) {
+      this.registerEditorExtension(editorExtension);
+    }
+
+    this.registerDomEvent(document, "click", (event) => {
+      this.handleReferenceClick(event);
+    });
+
+    this.registerDomEvent(document, "mouseover", (event) => {
+      this.handleReferenceHover(event);
+    });
+
+    this.registerEvent(
+      this.app.workspace.on("editor-menu", (menu, editor, info) => {
+        this.addLintMenuItems(menu, editor, info);
+      })
+    );
+
+    this.addCommand({
+      id: "insert-labeled-equation",
+      name: "Insert labeled equation",
+      editorCallback: (editor, info) => this.insertLabeledEquation(editor, info)
+    });
+
+    this.addCommand({
+      id: "insert-labeled-figure",
+      name: "Insert labeled figure",
+      editorCallback: (editor, info) => this.insertLabeledFigure(editor, info)
+    });
+
+    this.addCommand({
+      id: "wrap-theorem-block",
+      name: "Wrap selection in theorem block…",
+      editorCallback: (editor, info) => this.wrapSelectionInTheorem(editor, info)
+    });
+
+    this.addCommand({
+      id: "insert-reference",
+      name: "Insert reference…",
+      editorCallback: (editor, info) => this.insertReference(editor, info)
+    });
+
+    this.addCommand({
+      id: "rename-label",
+      name: "Rename crossref label",
+      editorCallback: (editor, info) => this.startLabelRename(editor, info)
+    });
+
+    this.registerView(OUTLINE_VIEW_TYPE, (leaf) => new CrossrefOutlineView(leaf, this));
+
+    this.addCommand({
+      id: "open-outline",
+      name: "Open crossref outline",
+      callback: () => this.activateView(OUTLINE_VIEW_TYPE)
+    });
+
+    this.diagnosticsResult = null;
+    this.registerView(DIAGNOSTICS_VIEW_TYPE, (leaf) => new CrossrefDiagnosticsView(leaf, this));
+
+    this.addCommand({
+      id: "open-diagnostics",
+      name: "Open crossref diagnostics",
+      callback: () => this.activateView(DIAGNOSTICS_VIEW_TYPE)
+    });
+
+    this.addCommand({
+      id: "check-current-note",
+      name: "Check crossrefs in current note",
+      callback: () => this.checkDiagnostics(DIAGNOSTICS_SCOPE_NOTE)
+    });
+
+    this.addCommand({
+      id: "check-vault",
+      name: "Check crossrefs in vault",
+      callback: () => this.checkDiagnostics(DIAGNOSTICS_SCOPE_VAULT)
+    });
+
+    this.addCommand({
+      id: "copy-vault-report",
+      name: "Copy crossref diagnostics report for vault",
+      callback: async () => {
+        await this.copyDiagnosticsReport(await this.runDiagnostics(DIAGNOSTICS_SCOPE_VAULT));
+      }
+    });
+  }
+
+  onunload() {
+    this.restoreMarkdownRendererEquationLabels();
+    this.flushDebugLogs();
+    if (this.debugLogFlushTimer) {
+      window.clearTimeout(this.debugLogFlushTimer);
+      this.debugLogFlushTimer = null;
+    }
+    if (this.nativeFlashSuppressTimer) {
+      window.clearTimeout(this.nativeFlashSuppressTimer);
+      this.nativeFlashSuppressTimer = null;
+    }
+    for (const timer of this.editorReindexTimers.values()) {
+      window.clearTimeout(timer);
+    }
+    this.editorReindexTimers.clear();
+    // A save still waiting on typing is written as is; there is nothing left to reindex or refresh.
+    if (this.settingsSaveTimer !== null) {
+      window.clearTimeout(this.settingsSaveTimer);
+      this.settingsSaveTimer = null;
+      this.saveData(this.settings).catch((error) => {
+        console.error("Crossref Preview: failed to save settings", error);
+      });
+    }
+    if (document && document.body) {
+      document.body.classList.remove(NATIVE_FLASH_SUPPRESS_CLASS);
+    }
+    this.invalidateVaultIndex();
+    this.snapshots.clear();
+    this.documentFormats.clear();
+  }
+
+  async loadSettings() {
+    this.settings = mergeSettings(await this.loadData());
+    this.applyCustomTheorems();
+    this.indexSettingsKey = this.getIndexSettingsKey();
+  }
+
+  // Only settings that change numbering, the recognised labels or where references resolve
+  // invalidate the vault index; templates, names and navigation options just re-render.
+  async saveSettings() {
+    window.clearTimeout(this.settingsSaveTimer);
+    this.settingsSaveTimer = null;
+    await this.saveData(this.settings);
+    this.applyCustomTheorems();
+    this.documentFormats.clear();
+    const indexSettingsKey = this.getIndexSettingsKey();
+    if (indexSettingsKey !== this.indexSettingsKey) {
+      this.indexSettingsKey = indexSettingsKey;
+      this.invalidateVaultIndex();
+      this.apiEvents.trigger(INDEX_CHANGED_EVENT, null);
+    }
+    this.requestPreviewRefresh();
+  }
+
+  // Text fields report every keystroke, so their saves wait until typing pauses.
+  requestSettingsSave() {
+    window.clearTimeout(this.settingsSaveTimer);
+    this.settingsSaveTimer = window.setTimeout(() => {
+      this.settingsSaveTimer = null;
+      this.flushSettingsSave(true);
+    }, SETTINGS_SAVE_DELAY_MS);
+  }
+
+  async flushSettingsSave(force = false) {
+    if (!force && this.settingsSaveTimer === null) {
+      return;
+    }
+    try {
+      await this.saveSettings();
+    } catch (error) {
+      console.error("Crossref Preview: failed to save settings", error);
+    }
+  }
+
+  getIndexSettingsKey() {
+    const settings = this.settings;
+    return safeStringify({
+      crossFileScope: settings.crossFileScope,
+      numberingMode: settings.numberingMode,
+      numberingDepth: settings.numberingDepth,
+      theoremNumberWithin: settings.theoremNumberWithin,
+      theoremCounterScheme: settings.theoremCounterScheme,
+      theoremCounterGroups: settings.theoremCounterGroups,
+      customTheorems: this.customTheorems.map((entry) => [entry.prefix, entry.counter])
+    });
+  }
+
+  // Patterns are only recompiled when the prefixes change, so structures parsed with the
+  // current ones stay reusable.
+  applyCustomTheorems() {
+    this.customTheorems = normalizeCustomTheorems(this.settings.customTheorems);
+    const prefixes = this.customTheorems.map((entry) => entry.prefix);
+    if (!this.labelPatterns || this.labelPatternsKey !== prefixes.join("|")) {
+      this.labelPatterns = compileLabelPatterns(this.customTheorems);
+      this.labelPatternsKey = prefixes.join("|");
+    }
+  }
+
+  getTheoremCounters() {
+    const counters = {};
+    const scheme = this.settings.theoremCounterScheme;
+    if (scheme === THEOREM_COUNTER_SHARED) {
+      for (const prefix of this.labelPatterns.theoremPrefixes) {
+        counters[prefix] = THEOREM_SHARED_COUNTER_NAME;
+      }
+      return counters;
+    }
+
+    for (const entry of this.customTheorems) {
+      if (entry.counter) {
+        counters[entry.prefix] = entry.counter;
+      }
+    }
+    if (scheme === THEOREM_COUNTER_GROUPS) {
+      for (const group of parseTheoremCounterGroups(this.settings.theoremCounterGroups)) {
+        const members = group.filter((prefix) => this.labelPatterns.theoremPrefixes.includes(prefix));
+        for (const prefix of members.slice(1)) {
+          counters[prefix] = members[0];
+        }
+        if (members.length > 0) {
+          delete counters[members[0]];
+        }
+      }
+    }
+
+    // Follow chains such as asm -> claim -> thm so every member ends on one counter.
+    for (const prefix of Object.keys(counters)) {
+      const visited = new Set([prefix]);
+      let target = counters[prefix];
+      while (counters[target] && !visited.has(target)) {
+        visited.add(target);
+        target = counters[target];
+      }
+      counters[prefix] = target;
+    }
+    return counters;
+  }
+
+  getLabelPrefixItems() {
+    return LABEL_PREFIX_ITEMS.concat(
+      this.customTheorems.map((entry) => {
+        return { prefix: `${entry.prefix}-`, desc: `${entry.name} label` };
+      })
+    );
+  }
+
+  invalidateVaultIndex() {
+    this.indexGeneration += 1;
+    this.incomingReferences.clear();
+    this.indexCache.clear();
+    this.vaultLabelPaths.clear();
+    this.vaultIndexPromise = null;
+    this.vaultIndexReady = false;
+  }
+
+  getQuartoFrontmatter(cache) {
+    const frontmatter = cache && cache.frontmatter;
+    if (!frontmatter) {
+      return {};
+    }
+
+    const crossref = frontmatter.crossref;
+    return {
+      crossref: crossref && typeof crossref === "object" ? crossref : null,
+      "number-sections": frontmatter["number-sections"],
+      "number-depth": frontmatter["number-depth"],
+      "shift-heading-level-by": frontmatter["shift-heading-level-by"]
+    };
+  }
+
+  getDocumentFormat(filePath) {
+    const file = filePath ? this.app.vault.getAbstractFileByPath(filePath) : null;
+    const frontmatter = file ? this.getQuartoFrontmatter(this.app.metadataCache.getFileCache(file)) : {};
+    const key = safeStringify(frontmatter);
+    const cached = this.documentFormats.get(filePath);
+    if (cached && cached.key === key) {
+      return cached.format;
+    }
+
+    const format = applyQuartoNumberingOptions(
+      applyQuartoCrossrefOptions(this.settings, frontmatter.crossref, this.labelPatterns),
+      frontmatter
+    );
+    this.documentFormats.set(filePath, { key, format });
+    return format;
+  }
+
+  refreshPreviews() {
+    for (const leaf of this.app.workspace.getLeavesOfType("markdown")) {
+      const view = leaf.view;
+      if (view && view.previewMode && typeof view.previewMode.rerender === "function") {
+        view.previewMode.rerender(true);
+      }
+    }
+    this.app.workspace.updateOptions();
+  }
+
+  patchMarkdownRendererEquationLabels() {
+    if (this.originalMarkdownRender || this.originalMarkdownRenderMarkdown) {
+      return;
+    }
+
+    if (MarkdownRenderer && typeof MarkdownRenderer.render === "function") {
+      const originalRender = MarkdownRenderer.render;
+      this.originalMarkdownRender = originalRender;
+      MarkdownRenderer.render = function (app, markdown, el, sourcePath, component) {
+        const normalized =
+          typeof markdown === "string" ? normalizeEquationLabelSource(markdown) : markdown;
+        return originalRender.call(this, app, normalized, el, sourcePath, component);
+      };
+    }
+
+    if (MarkdownRenderer && typeof MarkdownRenderer.renderMarkdown === "function") {
+      const originalRenderMarkdown = MarkdownRenderer.renderMarkdown;
+      this.originalMarkdownRenderMarkdown = originalRenderMarkdown;
+      MarkdownRenderer.renderMarkdown = function (markdown, el, sourcePath, component) {
+        const normalized =
+          typeof markdown === "string" ? normalizeEquationLabelSource(markdown) : markdown;
+        return originalRenderMarkdown.call(this, normalized, el, sourcePath, component);
+      };
+    }
+  }
+
+  restoreMarkdownRendererEquationLabels() {
+    if (this.originalMarkdownRender) {
+      MarkdownRenderer.render = this.originalMarkdownRender;
+      this.originalMarkdownRender = null;
+    }
+
+    if (this.originalMarkdownRenderMarkdown) {
+      MarkdownRenderer.renderMarkdown = this.originalMarkdownRenderMarkdown;
+      this.originalMarkdownRenderMarkdown = null;
+    }
+  }
+
+  getActiveFilePath() {
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    return activeView && activeView.file ? activeView.file.path : "";
+  }
+
+  isSourceRenderElement(element) {
+    if (!(element instanceof HTMLElement)) {
+      return false;
+    }
+
+    if (element.closest(".cm-editor, .cm-contentContainer, .markdown-source-view")) {
+      return true;
+    }
+
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (
+      activeView &&
+      typeof activeView.getMode === "function" &&
+      activeView.getMode() !== "preview"
+    ) {
+      return true;
+    }
+
+    return false;
+  }
+
+  isDebugSource(sourcePath) {
+    const noteName = this.settings.debugNoteName;
+    if (!this.settings.debugLogging || !sourcePath || !noteName) {
+      return false;
+    }
+    return sourcePath === noteName || sourcePath.endsWith(`/${noteName}`);
+  }
+
+  debugLog(sourcePath, message, payload) {
+    if (!this.isDebugSource(sourcePath)) {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    let line = `[${timestamp}] ${sourcePath} ${message}`;
+    if (typeof payload !== "undefined") {
+      line += ` ${safeStringify(payload)}`;
+    }
+    this.enqueueDebugLogLine(`${line}\n`);
+
+    if (typeof payload === "undefined") {
+      console.log(`[CrossrefDebug] ${sourcePath} ${message}`);
+      return;
+    }
+    console.log(`[CrossrefDebug] ${sourcePath} ${message}`, payload);
+  }
+
+  async resetDebugLogFile() {
+    if (!this.settings.debugLogging || !this.settings.debugNoteName || !this.debugLogPath) {
+      return;
+    }
+
+    try {
+      const header = `=== Crossref debug session ${new Date().toISOString()} ===\n`;
+      await this.app.vault.adapter.write(this.debugLogPath, header);
+    } catch (error) {
+      console.error("Crossref Preview: failed to reset debug log file", error);
+    }
+  }
+
+  enqueueDebugLogLine(line) {
+    if (!this.debugLogPath) {
+      return;
+    }
+
+    this.debugLogBuffer.push(line);
+    if (this.debugLogFlushTimer) {
+      return;
+    }
+
+    this.debugLogFlushTimer = window.setTimeout(() => {
+      this.debugLogFlushTimer = null;
+      this.flushDebugLogs();
+    }, 80);
+  }
+
+  async flushDebugLogs() {
+    if (!this.debugLogPath || this.debugLogBuffer.length === 0) {
+      return;
+    }
+
+    const chunk = this.debugLogBuffer.join("");
+    this.debugLogBuffer.length = 0;
+
+    try {
+      if (typeof this.app.vault.adapter.append === "function") {
+        await this.app.vault.adapter.append(this.debugLogPath, chunk);
+        return;
+      }
+
+      let existing = "";
+      if (await this.app.vault.adapter.exists(this.debugLogPath)) {
+        existing = await this.app.vault.adapter.read(this.debugLogPath);
+      }
+      await this.app.vault.adapter.write(this.debugLogPath, `${existing}${chunk}`);
+    } catch (error) {
+      console.error("Crossref Preview: failed to flush debug logs", error);
+    }
+  }
+
+  async getLabelDescriptors(filePath) {
+    if (!filePath) {
+      return [];
+    }
+
+    const source = await this.readCurrentSource(filePath);
+    if (!source) {
+      return [];
+    }
+
+    const index = this.getCachedIndex(filePath, source);
+    const descriptors = Array.from(index.labels.values());
+    descriptors.sort((a, b) => a.lineStart - b.lineStart);
+    return descriptors;
+  }
+
+  getTheoremDescriptors(index) {
+    return Array.from(index.labels.values())
+      .filter((descriptor) => descriptor.kind === "theorem")
+      .concat(index.proofs || [])
+      .sort((a, b) => a.lineStart - b.lineStart);
+  }
+
+  getSectionBounds(sectionInfo) {
+    if (
+      !sectionInfo ||
+      !Number.isFinite(sectionInfo.lineStart) ||
+      !Number.isFinite(sectionInfo.lineEnd)
+    ) {
+      return null;
+    }
+
+    return {
+      start: Number(sectionInfo.lineStart),
+      end: Number(sectionInfo.lineEnd)
+    };
+  }
+
+  findTheoremMatchForSection(index, sectionInfo, directText) {
+    const theoremDescriptors = this.getTheoremDescriptors(index);
+    if (theoremDescriptors.length === 0) {
+      return null;
+    }
+
+    const directStart = directText.match(this.labelPatterns.theoremStartPrefix);
+    if (directStart) {
+      const descriptor = index.labels.get(directStart[1]);
+      if (!descriptor || descriptor.kind !== "theorem") {
+        return null;
+      }
+      return {
+        descriptor,
+        isStartSection: true,
+        isFullyInside: true,
+        sectionBounds: this.getSectionBounds(sectionInfo)
+      };
+    }
+
+    if (THEOREM_END_PATTERN.test(directText)) {
+      const sectionBounds = this.getSectionBounds(sectionInfo);
+      if (!sectionBounds) {
+        return null;
+      }
+      const descriptor = theoremDescriptors.find((item) => {
+        return item.lineEnd >= sectionBounds.start && item.lineStart <= sectionBounds.end;
+      });
+      if (!descriptor) {
+        return null;
+      }
+      return {
+        descriptor,
+        isStartSection: false,
+        isFullyInside: true,
+        sectionBounds
+      };
+    }
+
+    const sectionBounds = this.getSectionBounds(sectionInfo);
+    if (!sectionBounds) {
+      return null;
+    }
+
+    const descriptor = theoremDescriptors.find((item) => {
+      return item.lineEnd >= sectionBounds.start && item.lineStart <= sectionBounds.end;
+    });
+    if (!descriptor) {
+      return null;
+    }
+
+    const isStartSection = sectionBounds.start === descriptor.lineStart;
+    const isFullyInside =
+      sectionBounds.start >= descriptor.lineStart && sectionBounds.end <= descriptor.lineEnd;
+
+    if (!isStartSection && !isFullyInside) {
+      return null;
+    }
+
+    return {
+      descriptor,
+      isStartSection,
+      isFullyInside,
+      sectionBounds
+    };
+  }
+
+  async renderTheoremSection(element, theoremMatch, sourcePath, source, index) {
+    if (!(element instanceof HTMLElement) || !theoremMatch) {
+      return;
+    }
+
+    const { descriptor, isStartSection, isFullyInside, sectionBounds } = theoremMatch;
+    if (isStartSection) {
+      const theoremNode = await this.createTheoremNodeFromSource(
+        descriptor,
+        sourcePath,
+        source,
+        index
+      );
+      element.replaceChildren(theoremNode);
+      this.debugLog(sourcePath, "render theorem from section", {
+        label: descriptor.label,
+        lineStart: sectionBounds ? sectionBounds.start : null,
+        lineEnd: sectionBounds ? sectionBounds.end : null
+      });
+      return;
+    }
+
+    if (isFullyInside) {
+      if (element.childNodes.length > 0) {
+        element.replaceChildren();
+      }
+      this.debugLog(sourcePath, "suppress overlapped theorem section", {
+        label: descriptor.label,
+        lineStart: sectionBounds ? sectionBounds.start : null,
+        lineEnd: sectionBounds ? sectionBounds.end : null
+      });
+      return;
+    }
+  }
+
+  getTheoremDescriptorsForSection(index, sectionBounds) {
+    if (!sectionBounds) {
+      return [];
+    }
+
+    return this.getTheoremDescriptors(index).filter((descriptor) => {
+      return descriptor.lineStart >= sectionBounds.start && descriptor.lineStart <= sectionBounds.end;
+    });
+  }
+
+  async renderSourceFragment(source, startLine, endLine, sourcePath, index) {
+    if (!source) {
+      return [];
+    }
+
+    const { lines, lineInfo } = this.getSourceStructure(source);
+    const start = Math.max(0, Math.min(startLine, lines.length - 1));
+    const end = Math.max(start, Math.min(endLine, lines.length - 1));
+    const sanitizedLines = [];
+    for (let line = start; line <= end; line += 1) {
+      const info = lineInfo[line];
+      if (info.kind === "div-open" || info.kind === "div-close") {
+        continue;
+      }
+      if (info.kind === "text" && EQUATION_LABEL_ONLY_PATTERN.test(info.content.trim())) {
+        continue;
+      }
+      sanitizedLines.push(lines[line]);
+    }
+
+    const markdown = sanitizedLines.join("\n");
+    if (!markdown.trim()) {
+      return [];
+    }
+
+    const wrapper = document.createElement("div");
+    await MarkdownRenderer.renderMarkdown(markdown, wrapper, sourcePath, this);
+
+    const sectionTargets = this.selectTargetsForSection(index, {
+      lineStart: start,
+      lineEnd: end
+    });
+    const figureLabels = sectionTargets
+      .filter((descriptor) => descriptor.kind === "figure" && !descriptor.isPanel && !descriptor.parent)
+      .map((descriptor) => descriptor.label);
+
+    await this.decorateFigureTargets(wrapper, figureLabels, index, sourcePath);
+    await this.decorateTableTargets(wrapper, this.selectTableLabels(sectionTargets), index, sourcePath);
+    this.decorateSectionTargets(wrapper, sectionTargets, sourcePath);
+    await this.decorateListingTargets(wrapper, sectionTargets, index, sourcePath);
+    this.stripLabelTokens(wrapper);
+    this.decorateReferences(wrapper, index, sourcePath);
+    this.cleanupOrphanFenceMarkers(wrapper);
+    this.cleanupEmptyParagraphs(wrapper);
+
+    return Array.from(wrapper.childNodes);
+  }
+
+  async renderTheoremMixedSection(
+    element,
+    descriptors,
+    sectionBounds,
+    sourcePath,
+    source,
+    index
+  ) {
+    if (!(element instanceof HTMLElement) || !Array.isArray(descriptors) || descriptors.length === 0) {
+      return false;
+    }
+
+    const sorted = descriptors.slice().sort((a, b) => {
+      if (a.lineStart !== b.lineStart) {
+        return a.lineStart - b.lineStart;
+      }
+      return a.lineEnd - b.lineEnd;
+    });
+
+    const nodes = [];
+    let cursor = sectionBounds.start;
+    const blocks = Array.from(index.labels.values()).concat(index.proofs || []);
+    const overlappingLeadingDescriptors = blocks.filter((descriptor) => {
+      if (descriptor.kind !== "equation" && descriptor.kind !== "theorem" && descriptor.kind !== "proof") {
+        return false;
+      }
+      return descriptor.lineStart < sectionBounds.start && descriptor.lineEnd >= sectionBounds.start;
+    });
+    if (overlappingLeadingDescriptors.length > 0) {
+      const maxOverlapEnd = overlappingLeadingDescriptors.reduce((maxEnd, descriptor) => {
+        return Math.max(maxEnd, descriptor.lineEnd);
+      }, sectionBounds.start - 1);
+      cursor = Math.min(sectionBounds.end + 1, maxOverlapEnd + 1);
+      this.debugLog(sourcePath, "skip leading overlapped descriptor tail", {
+        overlaps: overlappingLeadingDescriptors.map((descriptor) => {
+          return {
+            label: descriptor.label,
+            kind: descriptor.kind,
+            lineStart: descriptor.lineStart,
+            lineEnd: descriptor.lineEnd
+          };
+        }),
+        skipUntil: cursor,
+        lineStart: sectionBounds.start,
+        lineEnd: sectionBounds.end
+      });
+    }
+
+    for (const descriptor of sorted) {
+      if (descriptor.lineStart < cursor) {
+        continue;
+      }
+      if (descriptor.lineStart > cursor) {
+        const leadingNodes = await this.renderSourceFragment(
+          source,
+          cursor,
+          descriptor.lineStart - 1,
+          sourcePath,
+          index
+        );
+        nodes.push(...leadingNodes);
+      }
+
+      const theoremNode = await this.createTheoremNodeFromSource(
+        descriptor,
+        sourcePath,
+        source,
+        index
+      );
+      nodes.push(theoremNode);
+      cursor = Math.max(cursor, descriptor.lineEnd + 1);
+    }
+
+    if (cursor <= sectionBounds.end) {
+      const trailingNodes = await this.renderSourceFragment(
+        source,
+        cursor,
+        sectionBounds.end,
+        sourcePath,
+        index
+      );
+      nodes.push(...trailingNodes);
+    }
+
+    if (nodes.length === 0) {
+      return false;
+    }
+
+    element.replaceChildren(...nodes);
+    const sectionTargets = this.selectTargetsForSection(index, {
+      lineStart: sectionBounds.start,
+      lineEnd: sectionBounds.end
+    });
+    const figureLabels = sectionTargets
+      .filter((descriptor) => descriptor.kind === "figure" && !descriptor.isPanel && !descriptor.parent)
+      .map((descriptor) => descriptor.label);
+    await this.decorateFigureTargets(element, figureLabels, index, sourcePath);
+    await this.decorateTableTargets(element, this.selectTableLabels(sectionTargets), index, sourcePath);
+    this.decorateSectionTargets(element, sectionTargets, sourcePath);
+    await this.decorateListingTargets(element, sectionTargets, index, sourcePath);
+    this.stripLabelTokens(element);
+    this.decorateReferences(element, index, sourcePath);
+    this.cleanupOrphanFenceMarkers(element);
+    this.cleanupEmptyParagraphs(element);
+
+    this.debugLog(sourcePath, "render theorem mixed section", {
+      labels: sorted.map((descriptor) => descriptor.label),
+      lineStart: sectionBounds.start,
+      lineEnd: sectionBounds.end,
+      nodeCount: nodes.length
+    });
+    return true;
+  }
+
+  findEquationRenderInfoForSection(index, sectionInfo) {
+    if (!index || !index.labels || !sectionInfo) {
+      return { startDescriptors: [], insideDescriptor: null };
+    }
+
+    const sectionStart = Number.isFinite(sectionInfo.lineStart) ? sectionInfo.lineStart : 0;
+    const sectionEnd = Number.isFinite(sectionInfo.lineEnd) ? sectionInfo.lineEnd : sectionStart;
+    const equationDescriptors = Array.from(index.labels.values())
+      .filter((descriptor) => descriptor.kind === "equation")
+      .sort((a, b) => {
+        if (a.lineStart !== b.lineStart) {
+          return a.lineStart - b.lineStart;
+        }
+        return a.lineEnd - b.lineEnd;
+      });
+
+    const startDescriptors = equationDescriptors.filter((descriptor) => {
+      return descriptor.lineStart >= sectionStart && descriptor.lineStart <= sectionEnd;
+    });
+
+    const insideDescriptor = equationDescriptors.find((descriptor) => {
+      return sectionStart >= descriptor.lineStart && sectionEnd <= descriptor.lineEnd;
+    });
+
+    return { startDescriptors, insideDescriptor };
+  }
+
+  findFigurePanelRenderInfoForSection(index, sectionInfo) {
+    const sectionBounds = this.getSectionBounds(sectionInfo);
+    if (!index || !index.labels || !sectionBounds) {
+      return { startDescriptors: [], insideDescriptor: null };
+    }
+
+    const panels = Array.from(index.labels.values())
+      .filter((descriptor) => descriptor.kind === "figure" && descriptor.isPanel)
+      .sort((a, b) => a.lineStart - b.lineStart);
+
+    const startDescriptors = panels.filter((descriptor) => {
+      return descriptor.lineStart >= sectionBounds.start && descriptor.lineStart <= sectionBounds.end;
+    });
+    const insideDescriptor = panels.find((descriptor) => {
+      return sectionBounds.start >= descriptor.lineStart && sectionBounds.end <= descriptor.lineEnd;
+    });
+
+    return { startDescriptors, insideDescriptor };
+  }
+
+  async createFigurePanelNodeFromSource(descriptor, sourcePath, index) {
+    const format = this.getDocumentFormat(sourcePath);
+    const subrefStyle = (format.numberStyles && format.numberStyles.subref) || DEFAULT_SUBREF_STYLE;
+    const subfigures = descriptor.subfigures || [];
+
+    const figure = document.createElement("div");
+    figure.className = "crossref-figure-panel";
+    this.applyTargetHost(figure, descriptor.label, "figure");
+
+    const grid = document.createElement("div");
+    grid.className = "crossref-subfigure-grid";
+    let columns = descriptor.layoutNcol;
+    if (!columns && descriptor.layoutNrow) {
+      columns = Math.ceil(subfigures.length / descriptor.layoutNrow);
+    }
+    columns = Math.max(1, columns || subfigures.length);
+    grid.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+
+    for (const subfigure of subfigures) {
+      const cell = document.createElement("div");
+      cell.className = "crossref-subfigure";
+      if (subfigure.label) {
+        this.applyTargetHost(cell, subfigure.label, "figure");
+      }
+      await MarkdownRenderer.renderMarkdown(subfigure.source, cell, sourcePath, this);
+
+      if (subfigure.subIndex || subfigure.caption) {
+        const subCaption = document.createElement("div");
+        subCaption.className = "crossref-subfig-caption";
+        if (subfigure.label) {
+          subCaption.dataset.label = subfigure.label;
+        }
+        if (subfigure.subIndex) {
+          const subNumber = document.createElement("span");
+          subNumber.className = "crossref-caption-number";
+          subNumber.textContent = `(${formatNumberStyle(subfigure.subIndex, subrefStyle)})`;
+          subCaption.appendChild(subNumber);
+        }
+        if (subfigure.caption) {
+          const subText = document.createElement("span");
+          subText.className = "crossref-caption-text";
+          await this.renderInlineMarkdown(subfigure.caption, subText, sourcePath);
+          subCaption.append(subfigure.subIndex ? " " : "", subText);
+          this.decorateReferences(subText, index, sourcePath);
+        }
+        cell.appendChild(subCaption);
+      }
+      grid.appendChild(cell);
+    }
+    figure.appendChild(grid);
+
+    const caption = document.createElement("div");
+    caption.className = "crossref-fig-number";
+    caption.dataset.label = descriptor.label;
+    await this.renderCaption(caption, descriptor, sourcePath, index);
+    figure.appendChild(caption);
+
+    this.cleanupEmptyParagraphs(figure);
+    this.debugLog(sourcePath, "createFigurePanelNodeFromSource", {
+      label: descriptor.label,
+      subfigureCount: subfigures.length,
+      columns
+    });
+    return figure;
+  }
+
+  extractEquationBodyFromDescriptor(descriptor, source) {
+    if (!descriptor || !source) {
+      return "";
+    }
+
+    const structure = this.getSourceStructure(source);
+    const math = structure.maths.find((block) => block.lineStart === descriptor.lineStart);
+    return math ? readMathBody(structure, math) : "";
+  }
+
+  async createEquationNodeFromSource(descriptor, sourcePath, source, index) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "crossref-equation";
+    this.applyTargetHost(wrapper, descriptor.label, "equation");
+
+    const body = this.extractEquationBodyFromDescriptor(descriptor, source);
+    const markdown = body ? `$$\n${body}\n$$` : "$$\n\\phantom{.}\n$$";
+    await MarkdownRenderer.renderMarkdown(markdown, wrapper, sourcePath, this);
+
+    let badge = wrapper.querySelector(".crossref-eq-number");
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.className = "crossref-eq-number";
+      wrapper.appendChild(badge);
+    }
+    badge.dataset.label = descriptor.label;
+    badge.textContent = descriptorCaption(descriptor, this.getDocumentFormat(sourcePath));
+    this.appendBacklinkBadge(badge, descriptor.label, sourcePath);
+
+    this.stripLabelTokens(wrapper);
+    this.decorateReferences(wrapper, index, sourcePath);
+    this.cleanupEmptyParagraphs(wrapper);
+    return wrapper;
+  }
+
+  async renderEquationSection(element, descriptors, sourcePath, source, index, sectionInfo) {
+    if (!(element instanceof HTMLElement) || !Array.isArray(descriptors) || descriptors.length === 0) {
+      return;
+    }
+
+    const sortedDescriptors = descriptors.slice().sort((a, b) => {
+      if (a.lineStart !== b.lineStart) {
+        return a.lineStart - b.lineStart;
+      }
+      return a.lineEnd - b.lineEnd;
+    });
+
+    const nodes = [];
+    for (const descriptor of sortedDescriptors) {
+      const node = await this.createEquationNodeFromSource(descriptor, sourcePath, source, index);
+      nodes.push(node);
+    }
+
+    element.replaceChildren(...nodes);
+    this.debugLog(sourcePath, "render equation section from source", {
+      labels: sortedDescriptors.map((descriptor) => descriptor.label),
+      lineStart: sectionInfo ? sectionInfo.lineStart : null,
+      lineEnd: sectionInfo ? sectionInfo.lineEnd : null
+    });
+  }
+
+  async processSection(element, context) {
+    if (!context || !context.sourcePath) {
+      return;
+    }
+
+    if (this.isSourceRenderElement(element)) {
+      return;
+    }
+
+    if (element instanceof HTMLElement && element.closest(".crossref-theorem")) {
+      return;
+    }
+
+    const sourcePath = context.sourcePath;
+    const source = await this.readCurrentSource(sourcePath);
+    if (!source) {
+      return;
+    }
+
+    const index = this.getCachedIndex(sourcePath, source);
+    this.ensureVaultIndex();
+    const sectionInfo = context.getSectionInfo ? context.getSectionInfo(element) : null;
+    if (
+      element instanceof HTMLElement &&
+      sectionInfo &&
+      Number.isFinite(sectionInfo.lineStart) &&
+      Number.isFinite(sectionInfo.lineEnd)
+    ) {
+      element.dataset.crossrefLineStart = String(sectionInfo.lineStart);
+      element.dataset.crossrefLineEnd = String(sectionInfo.lineEnd);
+    }
+
+    const directText = normalizeText(element);
+    if (
+      this.isDebugSource(sourcePath) &&
+      (directText.includes(":::") ||
+        THEOREM_END_PATTERN.test(directText) ||
+        directText.startsWith("## "))
+    ) {
+      this.debugLog(sourcePath, "processSection candidate", {
+        lineStart: sectionInfo && sectionInfo.lineStart,
+        lineEnd: sectionInfo && sectionInfo.lineEnd,
+        text: shortText(directText)
+      });
+    }
+
+    const sectionBounds = this.getSectionBounds(sectionInfo);
+    if (sectionBounds && directText.includes(":::")) {
+      const theoremDescriptors = this.getTheoremDescriptorsForSection(index, sectionBounds);
+      if (theoremDescriptors.length > 0) {
+        const rendered = await this.renderTheoremMixedSection(
+          element,
+          theoremDescriptors,
+          sectionBounds,
+          sourcePath,
+          source,
+          index
+        );
+        if (rendered) {
+          return;
+        }
+      }
+    }
+
+    const theoremMatch = this.findTheoremMatchForSection(index, sectionInfo, directText);
+    if (theoremMatch) {
+      await this.renderTheoremSection(element, theoremMatch, sourcePath, source, index);
+      return;
+    }
+
+    const figurePanelInfo = this.findFigurePanelRenderInfoForSection(index, sectionInfo);
+    if (figurePanelInfo.startDescriptors.length > 0) {
+      const nodes = [];
+      for (const descriptor of figurePanelInfo.startDescriptors) {
+        nodes.push(await this.createFigurePanelNodeFromSource(descriptor, sourcePath, index));
+      }
+      element.replaceChildren(...nodes);
+      this.debugLog(sourcePath, "render figure panel from source", {
+        labels: figurePanelInfo.startDescriptors.map((descriptor) => descriptor.label),
+        lineStart: sectionInfo ? sectionInfo.lineStart : null,
+        lineEnd: sectionInfo ? sectionInfo.lineEnd : null
+      });
+      return;
+    }
+    if (figurePanelInfo.insideDescriptor) {
+      if (element.childNodes.length > 0) {
+        element.replaceChildren();
+      }
+      this.debugLog(sourcePath, "suppress overlapped figure panel section", {
+        label: figurePanelInfo.insideDescriptor.label,
+        lineStart: sectionInfo ? sectionInfo.lineStart : null,
+        lineEnd: sectionInfo ? sectionInfo.lineEnd : null
+      });
+      return;
+    }
+
+    const equationRenderInfo = this.findEquationRenderInfoForSection(index, sectionInfo);
+    if (equationRenderInfo.startDescriptors.length > 0) {
+      await this.renderEquationSection(
+        element,
+        equationRenderInfo.startDescriptors,
+        sourcePath,
+        source,
+        index,
+        sectionInfo
+      );
+      return;
+    }
+    if (equationRenderInfo.insideDescriptor) {
+      if (element.childNodes.length > 0) {
+        element.replaceChildren();
+      }
+      this.debugLog(sourcePath, "suppress overlapped equation section", {
+        label: equationRenderInfo.insideDescriptor.label,
+        lineStart: sectionInfo ? sectionInfo.lineStart : null,
+        lineEnd: sectionInfo ? sectionInfo.lineEnd : null
+      });
+      return;
+    }
+
+    const hiddenTable = this.findHiddenTablePartForSection(index, sectionInfo);
+    if (hiddenTable) {
+      if (element.childNodes.length > 0) {
+        element.replaceChildren();
+      }
+      this.debugLog(sourcePath, "suppress table caption section", {
+        label: hiddenTable.label,
+        lineStart: sectionInfo ? sectionInfo.lineStart : null,
+        lineEnd: sectionInfo ? sectionInfo.lineEnd : null
+      });
+      return;
+    }
+
+    const sectionTargets = this.selectTargetsForSection(index, sectionInfo);
+
+    const figureLabels = sectionTargets
+      .filter((descriptor) => descriptor.kind === "figure" && !descriptor.isPanel && !descriptor.parent)
+      .map((descriptor) => descriptor.label);
+
+    await this.decorateFigureTargets(element, figureLabels, index, sourcePath);
+    await this.decorateTableTargets(element, this.selectTableLabels(sectionTargets), index, sourcePath);
+    this.decorateSectionTargets(element, sectionTargets, sourcePath);
+    await this.decorateListingTargets(element, sectionTargets, index, sourcePath);
+    this.stripLabelTokens(element);
+    this.decorateReferences(element, index, sourcePath);
+    this.cleanupOrphanFenceMarkers(element);
+    this.cleanupEmptyParagraphs(element);
+  }
+
+  selectTargetsForSection(index, sectionInfo) {
+    const descriptors = Array.from(index.labels.values()).sort((a, b) => {
+      if (a.lineStart !== b.lineStart) {
+        return a.lineStart - b.lineStart;
+      }
+      return a.lineEnd - b.lineEnd;
+    });
+
+    if (!sectionInfo) {
+      return [];
+    }
+
+    const sectionStart = Number.isFinite(sectionInfo.lineStart) ? sectionInfo.lineStart : 0;
+    const sectionEnd = Number.isFinite(sectionInfo.lineEnd) ? sectionInfo.lineEnd : sectionStart;
+
+    return descriptors.filter((descriptor) => {
+      return descriptor.lineEnd >= sectionStart && descriptor.lineStart <= sectionEnd;
+    });
+  }
+
+  // Every reader sees a note through its snapshot: reading view, Live Preview, hover
+  // previews, suggestions and the vault index alike. Editor transactions replace the
+  // snapshot with the editor's text, vault events with the file on disk, except while the
+  // note is open in an editor, which is never behind its own saves. Each replacement takes
+  // the next version. Editor snapshots pin their text once read. Disk snapshots keep no text
+  // and read through `cachedRead`, whose cache Obsidian updates together with the `modify`
+  // event that gives the snapshot its next version, so the whole vault never stays in memory.
+  getSnapshot(filePath) {
+    return this.snapshots.get(filePath) || this.replaceSnapshot(filePath, "disk");
+  }
+
+  replaceSnapshot(filePath, origin, view = null, source = null) {
+    this.snapshotVersion += 1;
+    const snapshot = { version: this.snapshotVersion, origin, view, source };
+    this.snapshots.set(filePath, snapshot);
+    return snapshot;
+  }
+
+  recordEditorChange(filePath, view) {
+    this.replaceSnapshot(filePath, "editor", view);
+  }
+
+  recordDiskChange(filePath) {
+    const current = this.snapshots.get(filePath);
+    const view = current && current.origin === "editor" ? this.findEditorView(filePath) : null;
+    if (view) {
+      this.replaceSnapshot(filePath, "editor", view);
+    } else {
+      this.replaceSnapshot(filePath, "disk");
+    }
+  }
+
+  findEditorView(filePath) {
+    const leaf = this.app.workspace
+      .getLeavesOfType("markdown")
+      .find((candidate) => candidate.view.file && candidate.view.file.path === filePath && candidate.view.editor);
+    return leaf ? leaf.view : null;
+  }
+
+  // Notes whose last editor has closed fall back to disk snapshots of the same version.
+  releaseClosedEditorSnapshots() {
+    for (const [filePath, snapshot] of this.snapshots) {
+      if (snapshot.origin !== "editor" || this.findEditorView(filePath)) {
+        continue;
+      }
+      snapshot.origin = "disk";
+      snapshot.view = null;
+      snapshot.source = null;
+    }
+  }
+
+  async readCurrentSource(sourcePath) {
+    let snapshot = this.getSnapshot(sourcePath);
+    while (snapshot.source === null) {
+      const source = await this.readSnapshotSource(sourcePath, snapshot);
+      // A newer version may have replaced this one while the file was being read.
+      if (this.snapshots.get(sourcePath) !== snapshot) {
+        snapshot = this.getSnapshot(sourcePath);
+        continue;
+      }
+      if (snapshot.origin !== "editor") {
+        return source;
+      }
+      snapshot.source = source;
+    }
+    return snapshot.source;
+  }
+
+  async readSnapshotSource(sourcePath, snapshot) {
+    const view = snapshot.view;
+    if (view && view.file && view.file.path === sourcePath && view.editor) {
+      return view.editor.getValue();
+    }
+
+    const file = this.app.vault.getAbstractFileByPath(sourcePath);
+    if (!file || typeof file.extension !== "string") {
+      return "";
+    }
+
+    try {
+      return await this.app.vault.cachedRead(file);
+    } catch (error) {
+      console.error("Crossref Preview: failed to read source file", error);
+      return "";
+    }
+  }
+
+  // Editor features already hold the editor's text, which is the note's newest revision.
+  getEditorSourceIndex(filePath, source) {
+    const snapshot = this.snapshots.get(filePath);
+    if (snapshot && snapshot.source === null && snapshot.origin === "editor") {
+      snapshot.source = source;
+    } else if (!snapshot || snapshot.source !== source) {
+      this.replaceSnapshot(filePath, "editor", null, source);
+    }
+    return this.getCachedIndex(filePath, source);
+  }
+
+  getCachedIndex(sourcePath, source) {
+    const format = this.getDocumentFormat(sourcePath);
+    const options = {
+      sectionDepth: format.sectionDepth,
+      theoremSectionDepth: format.theoremSectionDepth,
+      headingShift: format.headingShift,
+      theoremCounters: this.getTheoremCounters(),
+      patterns: this.labelPatterns
+    };
+    const hash = `${fastHash(source)}:${safeStringify(options)}`;
+    const cached = this.indexCache.get(sourcePath);
+    if (cached && cached.hash === hash) {
+      return cached.index;
+    }
+
+    const index = parseCrossrefIndex(source, options, this.updateNoteStructure(sourcePath, source));
+    if (this.isDebugSource(sourcePath)) {
+      const theoremLabels = Array.from(index.labels.values())
+        .filter((item) => item.kind === "theorem")
+        .map((item) => item.label);
+      const snapshot = this.snapshots.get(sourcePath);
+      this.debugLog(sourcePath, "index rebuilt", {
+        version: snapshot ? snapshot.version : null,
+        labelCount: index.labels.size,
+        theoremLabels
+      });
+    }
+    this.setVaultIndexEntry(sourcePath, hash, index);
+    return index;
+  }
+
+  // The last few reparsed notes keep their structure, so the next edit to one of them only
+  // retokenizes the lines it touched.
+  updateNoteStructure(sourcePath, source) {
+    const previous = this.noteStructures.get(sourcePath);
+    const structure = updateBlockStructure(previous ? previous.structure : null, source, this.labelPatterns);
+    this.noteStructures.delete(sourcePath);
+    this.noteStructures.set(sourcePath, { source, structure });
+    if (this.noteStructures.size > NOTE_STRUCTURE_CACHE_SIZE) {
+      this.noteStructures.delete(this.noteStructures.keys().next().value);
+    }
+    return structure;
+  }
+
+  // Typing reindexes the note once the editor has been idle for a moment. Numbers shown
+  // elsewhere only go stale when the labels' numbering changed, so only then are open
+  // previews re-rendered.
+  requestEditorReindex(filePath, editor) {
+    window.clearTimeout(this.editorReindexTimers.get(filePath));
+    const timer = window.setTimeout(() => {
+      this.editorReindexTimers.delete(filePath);
+      const cached = this.indexCache.get(filePath);
+      const index = this.getEditorSourceIndex(filePath, editor.getValue());
+      if (cached && cached.index.labelKey !== index.labelKey) {
+        this.requestPreviewRefresh();
+      }
+    }, EDITOR_REINDEX_DELAY_MS);
+    this.editorReindexTimers.set(filePath, timer);
+  }
+
+  // Rendering one note asks for its structure once per block, so recent ones are reused.
+  getSourceStructure(source) {
+    for (const entry of this.noteStructures.values()) {
+      if (entry.source === source && entry.structure.patterns === this.labelPatterns) {
+        return entry.structure;
+      }
+    }
+    const cached = this.structureCache;
+    if (!cached || cached.source !== source || cached.structure.patterns !== this.labelPatterns) {
+      this.structureCache = { source, structure: parseBlockStructure(source, this.labelPatterns) };
+    }
+    return this.structureCache.structure;
+  }
+
+  getDescriptorForLabel(sourcePath, label) {
+    if (!sourcePath || !label) {
+      return null;
+    }
+
+    const index = this.getVaultIndexEntry(sourcePath);
+    if (!index) {
+      return null;
+    }
+    return index.labels.get(label) || null;
+  }
+
+  getEditorIndex(state) {
+    const info = editorInfoField ? state.field(editorInfoField, false) : null;
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return null;
+    }
+
+    this.ensureVaultIndex();
+    // Selection, viewport and focus changes rebuild the decorations with the same document;
+    // its index only changes with the document itself or with numbering settings and options.
+    const cached = this.editorIndexes.get(state.doc);
+    if (cached && cached.filePath === filePath && cached.generation === this.indexGeneration) {
+      return cached.context;
+    }
+    const context = { filePath, index: this.getEditorSourceIndex(filePath, state.doc.toString()) };
+    this.editorIndexes.set(state.doc, { filePath, generation: this.indexGeneration, context });
+    return context;
+  }
+
+  // Problems for the unresolved items of one reference token; positions are offsets from `offset`.
+  getReferenceProblems(text, token, offset, index, filePath) {
+    const problems = [];
+    for (const item of locateReferenceItems(text, token)) {
+      if (this.resolveReference(item.label, item.notePath, index, filePath)) {
+        continue;
+      }
+
+      const labelFrom = offset + item.ch + 1 + (item.noteText ? item.noteText.length + 1 : 0);
+      const target = item.noteText ? `${item.noteText}#${item.label}` : item.label;
+      problems.push({
+        from: offset + item.ch,
+        to: labelFrom + item.label.length,
+        labelFrom,
+        message: `Unresolved reference @${target}`,
+        item,
+        index,
+        filePath
+      });
+    }
+    return problems;
+  }
+
+  getLabelCandidates(item, index, filePath) {
+    if (item.notePath) {
+      const file = this.app.metadataCache.getFirstLinkpathDest(item.notePath, filePath);
+      const fileIndex = file ? (file.path === filePath ? index : this.getVaultIndexEntry(file.path)) : null;
+      return fileIndex ? Array.from(fileIndex.labels.keys()) : [];
+    }
+
+    const candidates = new Set(index.labels.keys());
+    for (const label of this.vaultLabelPaths.keys()) {
+      if (this.findVaultLabelPaths(label, filePath).length > 0) {
+        candidates.add(label);
+      }
+    }
+    return Array.from(candidates);
+  }
+
+  // Computed on demand (tooltip, context menu) rather than on every decoration pass.
+  getReferenceFix(problem) {
+    if (!problem.item) {
+      return null;
+    }
+
+    const closest = findClosestLabel(
+      problem.item.label,
+      this.getLabelCandidates(problem.item, problem.index, problem.filePath)
+    );
+    if (!closest) {
+      return null;
+    }
+    return {
+      from: problem.labelFrom,
+      to: problem.labelFrom + problem.item.label.length,
+      text: problem.item.capitalize ? capitalizeFirst(closest) : closest
+    };
+  }
+
+  createLintTooltip(view, problem) {
+    const tooltip = document.createElement("div");
+    tooltip.className = "crossref-lint-tooltip";
+    tooltip.createDiv({ cls: "crossref-lint-message", text: problem.message });
+
+    const fix = this.getReferenceFix(problem);
+    if (fix) {
+      const button = tooltip.createEl("button", { cls: "crossref-lint-fix", text: `Change to @${fix.text}` });
+      button.addEventListener("click", () => {
+        view.dispatch({ changes: { from: fix.from, to: fix.to, insert: fix.text } });
+        view.focus();
+      });
+    }
+    return tooltip;
+  }
+
+  addLintMenuItems(menu, editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    const index = this.getEditorSourceIndex(filePath, editor.getValue());
+    const cursor = editor.getCursor();
+    const lineText = maskInlineSpans(editor.getLine(cursor.line));
+    for (const token of findReferenceTokens(lineText, this.labelPatterns)) {
+      if (cursor.ch < token.start || cursor.ch > token.end) {
+        continue;
+      }
+      for (const problem of this.getReferenceProblems(lineText, token, 0, index, filePath)) {
+        const fix = this.getReferenceFix(problem);
+        if (fix) {
+          menu.addItem((item) => {
+            item.setTitle(`Change to @${fix.text}`).setIcon("wand").onClick(() => {
+              editor.replaceRange(
+                fix.text,
+                { line: cursor.line, ch: fix.from },
+                { line: cursor.line, ch: fix.to }
+              );
+            });
+          });
+        }
+      }
+      return;
+    }
+
+    // Away from a reference, offer to define the labels this note references but nobody defines.
+    const missing = new Set();
+    for (const reference of index.references || []) {
+      for (const item of reference.items) {
+        if (!item.notePath && !this.resolveReference(item.label, "", index, filePath)) {
+          missing.add(item.label);
+        }
+      }
+    }
+    for (const label of Array.from(missing).slice(0, MAX_CREATE_LABEL_MENU_ITEMS)) {
+      menu.addItem((item) => {
+        item.setTitle(`Create label {#${label}} here`).setIcon("tag").onClick(() => {
+          editor.replaceRange(`{#${label}}`, cursor);
+        });
+      });
+    }
+  }
+
+  isMarkdownFile(file) {
+    return Boolean(file && typeof file.path === "string" && file.extension === "md");
+  }
+
+  // Renderers only start the build: they resolve local labels right away and are re-rendered
+  // once it finishes. Commands that need every note's labels await it.
+  ensureVaultIndex() {
+    if (!this.vaultIndexPromise) {
+      this.vaultIndexPromise = this.buildVaultIndex();
+    }
+    return this.vaultIndexPromise;
+  }
+
+  // Waits for the vault index only while it is incomplete and one of `items` does not resolve
+  // without it.
+  async waitForVaultLabels(items, index, sourcePath) {
+    if (this.vaultIndexReady) {
+      return;
+    }
+    const resolved = items.every((item) => this.resolveReference(item.label, item.notePath, index, sourcePath));
+    if (!resolved) {
+      await this.ensureVaultIndex();
+    }
+  }
+
+  async buildVaultIndex() {
+    const generation = this.indexGeneration;
+    const files = this.app.vault.getMarkdownFiles();
+    for (const file of files) {
+      if (this.indexCache.has(file.path)) {
+        continue;
+      }
+      await this.indexVaultFile(file);
+    }
+    this.debugLog(this.getActiveFilePath(), "vault index built", {
+      fileCount: files.length,
+      labelCount: this.vaultLabelPaths.size
+    });
+    // A settings change during the build starts a new one, which does the refresh.
+    if (generation === this.indexGeneration) {
+      this.vaultIndexReady = true;
+      this.requestPreviewRefresh();
+    }
+  }
+
+  async indexVaultFile(file) {
+    if (!this.isMarkdownFile(file)) {
+      return;
+    }
+
+    try {
+      const source = await this.readCurrentSource(file.path);
+      this.getCachedIndex(file.path, source);
+    } catch (error) {
+      console.error("Crossref Preview: failed to index vault file", error);
+    }
+  }
+
+  // `indexCache` is the vault index: one entry per parsed note, which cross-note resolution,
+  // backlinks and diagnostics read as well.
+  getVaultIndexEntry(filePath) {
+    const cached = this.indexCache.get(filePath);
+    return cached ? cached.index : null;
+  }
+
+  setVaultIndexEntry(filePath, hash, index) {
+    const previous = this.getVaultIndexEntry(filePath);
+    if (previous && previous.labelKey === index.labelKey) {
+      // Same labels with the same numbers: only cached reference positions can be stale.
+      this.indexCache.set(filePath, { hash, index });
+      if (previous.referenceKey !== index.referenceKey) {
+        this.incomingReferences.clear();
+      }
+      return;
+    }
+
+    this.removeVaultIndexEntry(filePath);
+    this.incomingReferences.clear();
+    this.indexCache.set(filePath, { hash, index });
+    for (const label of index.labels.keys()) {
+      let paths = this.vaultLabelPaths.get(label);
+      if (!paths) {
+        paths = new Set();
+        this.vaultLabelPaths.set(label, paths);
+      }
+      paths.add(filePath);
+    }
+    this.apiEvents.trigger(INDEX_CHANGED_EVENT, filePath);
+  }
+
+  removeVaultIndexEntry(filePath) {
+    const previous = this.getVaultIndexEntry(filePath);
+    if (!previous) {
+      return false;
+    }
+
+    this.indexCache.delete(filePath);
+    this.incomingReferences.clear();
+    for (const label of previous.labels.keys()) {
+      const paths = this.vaultLabelPaths.get(label);
+      if (!paths) {
+        continue;
+      }
+      paths.delete(filePath);
+      if (paths.size === 0) {
+        this.vaultLabelPaths.delete(label);
+      }
+    }
+    return true;
+  }
+
+  isInCrossFileScope(candidatePath, sourcePath) {
+    if (this.settings.crossFileScope !== CROSS_FILE_SCOPE_FOLDER || !sourcePath) {
+      return true;
+    }
+
+    const slash = sourcePath.lastIndexOf("/");
+    if (slash < 0) {
+      return true;
+    }
+    return candidatePath.startsWith(sourcePath.slice(0, slash + 1));
+  }
+
+  findVaultLabelPaths(label, sourcePath) {
+    const paths = this.vaultLabelPaths.get(label);
+    if (!paths) {
+      return [];
+    }
+
+    return Array.from(paths)
+      .filter((path) => path !== sourcePath && this.isInCrossFileScope(path, sourcePath))
+      .sort();
+  }
+
+  getNoteName(filePath) {
+    const file = this.app.vault.getAbstractFileByPath(filePath);
+    if (file && typeof file.basename === "string") {
+      return file.basename;
+    }
+    const name = filePath.split("/").pop() || filePath;
+    return name.replace(/\.md$/, "");
+  }
+
+  resolveReference(label, notePath, index, sourcePath) {
+    if (notePath) {
+      const file = this.app.metadataCache.getFirstLinkpathDest(notePath, sourcePath || "");
+      if (!file) {
+        return null;
+      }
+
+      if (file.path !== sourcePath) {
+        const fileIndex = this.getVaultIndexEntry(file.path);
+        const descriptor = fileIndex ? fileIndex.labels.get(label) : null;
+        return descriptor ? { descriptor, filePath: file.path, external: true } : null;
+      }
+    }
+
+    const local = index.labels.get(label);
+    if (local) {
+      return { descriptor: local, filePath: sourcePath, external: false };
+    }
+    if (notePath) {
+      return null;
+    }
+
+    const [filePath] = this.findVaultLabelPaths(label, sourcePath);
+    const fileIndex = filePath ? this.getVaultIndexEntry(filePath) : null;
+    const descriptor = fileIndex ? fileIndex.labels.get(label) : null;
+    return descriptor ? { descriptor, filePath, external: true } : null;
+  }
+
+  async getVaultLabelEntries(sourcePath) {
+    await this.ensureVaultIndex();
+
+    const entries = [];
+    const paths = Array.from(this.indexCache.keys())
+      .filter((path) => path !== sourcePath && this.isInCrossFileScope(path, sourcePath))
+      .sort();
+
+    for (const filePath of paths) {
+      const file = this.app.vault.getAbstractFileByPath(filePath);
+      const linkText =
+        file && typeof this.app.metadataCache.fileToLinktext === "function"
+          ? this.app.metadataCache.fileToLinktext(file, sourcePath, true)
+          : this.getNoteName(filePath);
+      const descriptors = Array.from(this.getVaultIndexEntry(filePath).labels.values()).sort(
+        (a, b) => a.lineStart - b.lineStart
+      );
+
+      for (const descriptor of descriptors) {
+        entries.push({
+          descriptor,
+          filePath,
+          linkText,
+          noteName: this.getNoteName(filePath),
+          ambiguous: this.findVaultLabelPaths(descriptor.label, sourcePath).length > 1
+        });
+      }
+    }
+    return entries;
+  }
+
+  async runDiagnostics(scope) {
+    const activePath = this.getActiveFilePath();
+    if (scope === DIAGNOSTICS_SCOPE_NOTE && !activePath) {
+      return null;
+    }
+
+    await this.ensureVaultIndex();
+    const filePaths =
+      scope === DIAGNOSTICS_SCOPE_NOTE
+        ? [activePath]
+        : this.app.vault.getMarkdownFiles().map((file) => file.path).sort();
+    const sources = new Map();
+    for (const filePath of filePaths) {
+      const source = await this.readCurrentSource(filePath);
+      this.getCachedIndex(filePath, source);
+      sources.set(filePath, source.split(/\r?\n/));
+    }
+
+    const referenced = this.collectReferencedTargets();
+    const diagnostics = [];
+    for (const filePath of filePaths) {
+      diagnostics.push(...this.collectNoteDiagnostics(filePath, sources.get(filePath), referenced));
+    }
+    diagnostics.sort((a, b) => {
+      return a.filePath.localeCompare(b.filePath) || a.line - b.line || a.ch - b.ch;
+    });
+    return { scope, filePaths, diagnostics };
+  }
+
+  getDiagnosticTargetKey(filePath, descriptor) {
+    // A subfigure reference also counts for its panel, and the other way round.
+    return `${filePath}#${descriptor.parent || descriptor.label}`;
+  }
+
+  collectReferencedTargets() {
+    const referenced = new Set();
+    for (const [filePath, { index }] of this.indexCache) {
+      for (const reference of index.references || []) {
+        for (const item of reference.items) {
+          const resolved = this.resolveReference(item.label, item.notePath, index, filePath);
+          if (resolved) {
+            referenced.add(this.getDiagnosticTargetKey(resolved.filePath, resolved.descriptor));
+          }
+        }
+      }
+    }
+    return referenced;
+  }
+
+  collectNoteDiagnostics(filePath, lines, referenced) {
+    const index = this.getVaultIndexEntry(filePath);
+    if (!index) {
+      return [];
+    }
+
+    const diagnostics = [];
+    const report = (type, position, label, message) => {
+      diagnostics.push({
+        type,
+        severity: DIAGNOSTIC_SEVERITIES[type],
+        filePath,
+        line: position.line,
+        ch: position.ch,
+        label,
+        message
+      });
+    };
+
+    for (const duplicate of index.duplicates || []) {
+      report(
+        DIAGNOSTIC_DUPLICATE_LABEL,
+        findLabelPosition(lines, duplicate),
+        duplicate.label,
+        `Duplicate label "${duplicate.label}", first defined on line ${duplicate.firstLine + 1}`
+      );
+    }
+
+    for (const invalid of index.invalidLabels || []) {
+      report(
+        DIAGNOSTIC_INVALID_LABEL,
+        invalid,
+        invalid.label,
+        `Label "${invalid.label}" may only use letters, digits, "-" and "_"`
+      );
+    }
+
+    for (const reference of index.references || []) {
+      for (const item of reference.items) {
+        if (this.resolveReference(item.label, item.notePath, index, filePath)) {
+          continue;
+        }
+        const target = item.noteText ? `${item.noteText}#${item.label}` : item.label;
+        report(
+          DIAGNOSTIC_UNRESOLVED_REFERENCE,
+          { line: reference.line, ch: item.ch },
+          item.label,
+          `Unresolved reference @${target}`
+        );
+      }
+    }
+
+    if (this.settings.reportUnusedLabels) {
+      for (const descriptor of index.labels.values()) {
+        if (!referenced.has(this.getDiagnosticTargetKey(filePath, descriptor))) {
+          report(
+            DIAGNOSTIC_UNUSED_LABEL,
+            findLabelPosition(lines, descriptor),
+            descriptor.label,
+            `Label "${descriptor.label}" is never referenced`
+          );
+        }
+      }
+    }
+    return diagnostics;
+  }
+
+  // Label -> references (in any note) that resolve to a label defined in `targetPath`. Cached
+  // until any note's index changes, since every rendered target badge asks for it.
+  collectIncomingReferences(targetPath) {
+    const cached = this.incomingReferences.get(targetPath);
+    if (cached) {
+      return cached;
+    }
+
+    const incoming = new Map();
+    const target = this.getVaultIndexEntry(targetPath);
+    if (!target) {
+      return incoming;
+    }
+    this.incomingReferences.set(targetPath, incoming);
+
+    for (const [filePath, { index }] of this.indexCache) {
+      for (const reference of index.references || []) {
+        for (const item of reference.items) {
+          if (!target.labels.has(item.label)) {
+            continue;
+          }
+          const resolved = this.resolveReference(item.label, item.notePath, index, filePath);
+          if (!resolved || resolved.filePath !== targetPath) {
+            continue;
+          }
+          if (!incoming.has(item.label)) {
+            incoming.set(item.label, []);
+          }
+          incoming.get(item.label).push({ filePath, line: reference.line, ch: item.ch });
+        }
+      }
+    }
+    return incoming;
+  }
+
+  async collectBacklinks(targetPath, label) {
+    const entries = this.collectIncomingReferences(targetPath).get(label) || [];
+    const sources = new Map();
+    const backlinks = [];
+    for (const entry of entries) {
+      if (!sources.has(entry.filePath)) {
+        sources.set(entry.filePath, (await this.readCurrentSource(entry.filePath)).split(/\r?\n/));
+      }
+      backlinks.push(Object.assign({}, entry, {
+        noteName: this.getNoteName(entry.filePath),
+        snippet: extractParagraphSnippet(sources.get(entry.filePath), entry.line, entry.ch)
+      }));
+    }
+    return backlinks;
+  }
+
+  appendBacklinkBadge(host, label, sourcePath) {
+    const count = (this.collectIncomingReferences(sourcePath).get(label) || []).length;
+    if (count === 0 || !(host instanceof HTMLElement)) {
+      return;
+    }
+
+    const badge = document.createElement("span");
+    badge.className = "crossref-backlink-badge";
+    badge.textContent = String(count);
+    badge.setAttribute("aria-label", `Referenced ${count} time${count === 1 ? "" : "s"}`);
+    badge.addEventListener("click", async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const backlinks = await this.collectBacklinks(sourcePath, label);
+      new CrossrefBacklinksModal(this, label, backlinks).open();
+    });
+    host.appendChild(badge);
+  }
+
+  async revealLabel(filePath, label) {
+    const { workspace } = this.app;
+    let leaf = workspace
+      .getLeavesOfType("markdown")
+      .find((candidate) => candidate.view.file && candidate.view.file.path === filePath);
+    if (!leaf) {
+      const file = this.app.vault.getAbstractFileByPath(filePath);
+      if (!this.isMarkdownFile(file)) {
+        return;
+      }
+      leaf = workspace.getLeaf(false);
+      await leaf.openFile(file);
+    }
+
+    // navigateToReferenceLabel works from the active note, so focus it before jumping.
+    workspace.setActiveLeaf(leaf, { focus: true });
+    await this.navigateToReferenceLabel(label, null, filePath);
+  }
+
+  async checkDiagnostics(scope) {
+    const result = await this.runDiagnostics(scope);
+    if (!result) {
+      new Notice("Crossref Preview: open a note to check it.");
+      return;
+    }
+
+    this.diagnosticsResult = result;
+    const view = await this.activateView(DIAGNOSTICS_VIEW_TYPE);
+    if (view instanceof CrossrefDiagnosticsView) {
+      view.render();
+    }
+    new Notice(`Crossref Preview: ${describeDiagnostics(result)}.`);
+  }
+
+  async activateView(viewType) {
+    const { workspace } = this.app;
+    let leaf = workspace.getLeavesOfType(viewType)[0];
+    if (!leaf) {
+      leaf = workspace.getRightLeaf(false);
+      await leaf.setViewState({ type: viewType, active: true });
+    }
+    workspace.revealLeaf(leaf);
+    return leaf.view;
+  }
+
+  async copyDiagnosticsReport(result) {
+    if (!result) {
+      new Notice("Crossref Preview: run a check first.");
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(formatDiagnosticsReport(result));
+      new Notice(`Crossref Preview: report copied (${describeDiagnostics(result)}).`);
+    } catch (error) {
+      console.error("Crossref Preview: failed to copy diagnostics report", error);
+    }
+  }
+
+  async openFileAt(filePath, line, ch) {
+    const file = this.app.vault.getAbstractFileByPath(filePath);
+    if (!this.isMarkdownFile(file)) {
+      return;
+    }
+
+    const leaf = this.app.workspace.getLeaf(false);
+    await leaf.openFile(file, { active: true, eState: { line } });
+    const view = leaf.view;
+    if (view instanceof MarkdownView && view.getMode() === "source") {
+      const position = { line, ch };
+      view.editor.setCursor(position);
+      view.editor.scrollIntoView({ from: position, to: position }, true);
+    }
+  }
+
+  findRenameTargetAtCursor(editor, index, filePath) {
+    const cursor = editor.getCursor();
+    const lineText = maskInlineSpans(editor.getLine(cursor.line));
+    for (const token of findReferenceTokens(lineText, this.labelPatterns)) {
+      if (cursor.ch < token.start || cursor.ch > token.end) {
+        continue;
+      }
+      const items = locateReferenceItems(lineText, token);
+      const item = items.filter((entry) => entry.ch <= cursor.ch).pop() || items[0];
+      const resolved = this.resolveReference(item.label, item.notePath, index, filePath);
+      return resolved ? { filePath: resolved.filePath, descriptor: resolved.descriptor } : null;
+    }
+
+    const definitionPattern = this.labelPatterns.labelDefinition;
+    definitionPattern.lastIndex = 0;
+    let match = definitionPattern.exec(lineText);
+    while (match) {
+      const descriptor = index.labels.get(match[1]);
+      if (descriptor && cursor.ch >= match.index && cursor.ch <= definitionPattern.lastIndex) {
+        return { filePath, descriptor };
+      }
+      match = definitionPattern.exec(lineText);
+    }
+    return null;
+  }
+
+  // Reference targets offered while typing `@` and by the insert-reference command: labels of
+  // the note itself first, then labels elsewhere in the vault, qualified with the note when the
+  // bare label would resolve to a different target.
+  async getReferenceCandidates(filePath) {
+    const localDescriptors = await this.getLabelDescriptors(filePath);
+    const candidates = localDescriptors.map((descriptor) => {
+      return {
+        descriptor,
+        filePath,
+        noteName: "",
+        insertText: `@${descriptor.label}`
+      };
+    });
+
+    const localLabels = new Set(localDescriptors.map((descriptor) => descriptor.label));
+    const vaultEntries = await this.getVaultLabelEntries(filePath);
+    for (const entry of vaultEntries) {
+      const qualified = localLabels.has(entry.descriptor.label) || entry.ambiguous;
+      candidates.push({
+        descriptor: entry.descriptor,
+        filePath: entry.filePath,
+        noteName: entry.noteName,
+        insertText: qualified
+          ? `@${formatNotePath(entry.linkText)}#${entry.descriptor.label}`
+          : `@${entry.descriptor.label}`
+      });
+    }
+    return candidates;
+  }
+
+  renderReferenceCandidate(item, el) {
+    const row = el.createDiv({ cls: "crossref-suggest-row" });
+    row.createSpan({ text: item.insertText, cls: "crossref-suggest-main" });
+    const format = this.getDocumentFormat(item.filePath);
+    const meta = item.noteName
+      ? `${descriptorDisplay(item.descriptor, format)} · ${item.noteName}`
+      : descriptorDisplay(item.descriptor, format);
+    const caption = item.descriptor.caption || item.descriptor.title;
+    const metaEl = row.createSpan({ text: meta, cls: "crossref-suggest-meta" });
+    if (caption) {
+      metaEl.createSpan({ text: ` · ${caption}`, cls: "crossref-suggest-caption" });
+    }
+  }
+
+  // New labels avoid every label in the note and in the vault index, so a bare `@label`
+  // to them can never resolve to another target.
+  suggestNewLabel(filePath, editor, prefix, text) {
+    const index = this.getEditorSourceIndex(filePath, editor.getValue());
+    return createUniqueLabel(prefix, text, (label) => {
+      return index.labels.has(label) || this.vaultLabelPaths.has(label);
+    });
+  }
+
+  // Replaces the selection with `lines`, moving them onto lines of their own when the
+  // selection shares a line with other text. `cursor` is relative to the first inserted line.
+  replaceSelectionWithBlock(editor, lines, cursor) {
+    const from = editor.getCursor("from");
+    const to = editor.getCursor("to");
+    const leading = editor.getLine(from.line).slice(0, from.ch).trim() ? "\n" : "";
+    const trailing = editor.getLine(to.line).slice(to.ch).trim() ? "\n" : "";
+    editor.replaceRange(`${leading}${lines.join("\n")}${trailing}`, from, to);
+    const line = from.line + (leading ? 1 : 0) + cursor.line;
+    const ch = cursor.line === 0 && !leading ? from.ch + cursor.ch : cursor.ch;
+    editor.setCursor({ line, ch });
+  }
+
+  async insertLabeledEquation(editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    await this.ensureVaultIndex();
+    const body = editor.getSelection().trim().replace(/^\${1,2}([\s\S]*?)\${1,2}$/, "$1").trim();
+    const label = this.suggestNewLabel(filePath, editor, "eq", body);
+    const lines = ["$$", ...(body ? body.split("\n") : [""]), `$$ {#${label}}`];
+    const last = lines.length - 1;
+    this.replaceSelectionWithBlock(editor, lines, body ? { line: last, ch: lines[last].length } : { line: 1, ch: 0 });
+  }
+
+  async insertLabeledFigure(editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    await this.ensureVaultIndex();
+    const selection = editor.getSelection().trim();
+    // A selected image keeps its target; any other selection becomes the caption.
+    const image = selection.match(/^!\[([^\]\n]*)\]\(([^)\n]*)\)$/);
+    const caption = image ? image[1] : selection.replace(/\s+/g, " ");
+    const target = image ? image[2] : "";
+    const label = this.suggestNewLabel(filePath, editor, "fig", caption);
+    const text = `![${caption}](${target}){#${label}}`;
+    this.replaceSelectionWithBlock(editor, [text], { line: 0, ch: target ? text.length : caption.length + 4 });
+  }
+
+  async wrapSelectionInTheorem(editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    await this.ensureVaultIndex();
+    const items = this.getLabelPrefixItems().filter((item) => {
+      return this.labelPatterns.theoremPrefixes.includes(item.prefix.slice(0, -1));
+    });
+    new CrossrefPrefixPickerModal(this, items, (item) => {
+      const selection = editor.getSelection().replace(/\n+$/, "");
+      const body = selection ? selection.split("\n") : [""];
+      // The label follows the block's heading, or its first words when it has none.
+      const heading = body[0].match(/^#{1,6}\s+(.*)$/);
+      const title = heading ? heading[1] : body.find((line) => line.trim()) || "";
+      const label = this.suggestNewLabel(filePath, editor, item.prefix.slice(0, -1), title);
+      const lines = [`::: {#${label}}`, ...body, ":::"];
+      const last = lines.length - 1;
+      this.replaceSelectionWithBlock(editor, lines, selection ? { line: last, ch: 3 } : { line: 1, ch: 0 });
+    }).open();
+  }
+
+  async insertReference(editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    const candidates = await this.getReferenceCandidates(filePath);
+    if (candidates.length === 0) {
+      new Notice("Crossref Preview: there are no labels to reference.");
+      return;
+    }
+    new CrossrefReferencePickerModal(this, candidates, (candidate) => {
+      editor.replaceSelection(candidate.insertText);
+    }).open();
+  }
+
+  startLabelRename(editor, info) {
+    const filePath = info && info.file ? info.file.path : "";
+    if (!filePath) {
+      return;
+    }
+
+    const index = this.getEditorSourceIndex(filePath, editor.getValue());
+    const target = this.findRenameTargetAtCursor(editor, index, filePath);
+    if (target) {
+      new CrossrefRenameLabelModal(this, target.filePath, target.descriptor).open();
+      return;
+    }
+
+    const descriptors = Array.from(index.labels.values()).sort((a, b) => a.lineStart - b.lineStart);
+    if (descriptors.length === 0) {
+      new Notice("Crossref Preview: this note defines no labels.");
+      return;
+    }
+    new CrossrefLabelPickerModal(this, filePath, descriptors, (descriptor) => {
+      new CrossrefRenameLabelModal(this, filePath, descriptor).open();
+    }).open();
+  }
+
+  validateLabelRename(filePath, descriptor, newLabel) {
+    if (newLabel === descriptor.label) {
+      return "Enter a different label.";
+    }
+    if (!this.labelPatterns.labelExact.test(newLabel)) {
+      return `"${newLabel}" is not a label: use a known prefix such as "${descriptor.prefix}-" followed by letters, digits, "-" or "_".`;
+    }
+
+    // A new prefix would change how the target is numbered, except between theorem-like kinds.
+    const prefix = newLabel.split("-")[0];
+    const sameKind =
+      prefix === descriptor.prefix ||
+      (descriptor.kind === "theorem" && this.labelPatterns.theoremPrefixes.includes(prefix));
+    if (!sameKind) {
+      return `Keep the "${descriptor.prefix}-" prefix so the target keeps its kind.`;
+    }
+
+    const index = this.getVaultIndexEntry(filePath);
+    if (index && index.labels.has(newLabel)) {
+      return `"${newLabel}" is already defined in this note.`;
+    }
+    return "";
+  }
+
+  // Collects every edit the rename needs: the definition plus each reference (in any note) that
+  // resolves to it. Sources are snapshotted so applying can refuse notes edited in the meantime.
+  async planLabelRename(filePath, label, newLabel) {
+    await this.ensureVaultIndex();
+    const files = [];
+    for (const path of Array.from(this.indexCache.keys()).sort()) {
+      const cached = this.getVaultIndexEntry(path);
+      const mentions = (cached.references || []).some((reference) => {
+        return reference.items.some((item) => item.label === label);
+      });
+      if (path !== filePath && !mentions) {
+        continue;
+      }
+
+      const source = await this.readCurrentSource(path);
+      const index = this.getCachedIndex(path, source);
+      const lines = source.split(/\r?\n/);
+      const edits = [];
+      if (path === filePath) {
+        const descriptor = index.labels.get(label);
+        const position = descriptor ? findLabelPosition(lines, descriptor) : null;
+        if (!position || lines[position.line].substr(position.ch, label.length) !== label) {
+          return null;
+        }
+        edits.push({ line: position.line, ch: position.ch, length: label.length, text: newLabel });
+      }
+
+      for (const reference of index.references || []) {
+        for (const item of reference.items) {
+          if (item.label !== label) {
+            continue;
+          }
+          const resolved = this.resolveReference(item.label, item.notePath, index, path);
+          if (!resolved || resolved.filePath !== filePath) {
+            continue;
+          }
+          edits.push({
+            line: reference.line,
+            ch: item.ch + 1 + (item.noteText ? item.noteText.length + 1 : 0),
+            length: label.length,
+            text: item.capitalize ? capitalizeFirst(newLabel) : newLabel
+          });
+        }
+      }
+
+      if (edits.length > 0) {
+        files.push({ filePath: path, source, lines, edits });
+      }
+    }
+
+    const elsewhere = this.findVaultLabelPaths(newLabel, filePath);
+    return { filePath, label, newLabel, files, elsewhere };
+  }
+
+  async applyLabelRename(plan) {
+    const skipped = [];
+    for (const change of plan.files) {
+      const view = this.app.workspace
+        .getLeavesOfType("markdown")
+        .map((leaf) => leaf.view)
+        .find((candidate) => candidate.file && candidate.file.path === change.filePath && candidate.editor);
+
+      // Open notes are edited through the editor so the rename stays undoable.
+      if (view) {
+        if (view.editor.getValue() !== change.source) {
+          skipped.push(change.filePath);
+          continue;
+        }
+        view.editor.transaction({
+          changes: change.edits.map((edit) => {
+            return {
+              from: { line: edit.line, ch: edit.ch },
+              to: { line: edit.line, ch: edit.ch + edit.length },
+              text: edit.text
+            };
+          })
+        });
+        continue;
+      }
+
+      const file = this.app.vault.getAbstractFileByPath(change.filePath);
+      let applied = false;
+      try {
+        await this.app.vault.process(file, (data) => {
+          if (data !== change.source) {
+            return data;
+          }
+          applied = true;
+          return joinSourceLines(applyLineEdits(change.lines, change.edits), change.source);
+        });
+      } catch (error) {
+        console.error("Crossref Preview: failed to rename label", error);
+      }
+      if (!applied) {
+        skipped.push(change.filePath);
+      }
+    }
+
+    const renamedCount = plan.files.length - skipped.length;
+    const noteCount = `${renamedCount} note${renamedCount === 1 ? "" : "s"}`;
+    let message = `Crossref Preview: renamed ${plan.label} to ${plan.newLabel} in ${noteCount}.`;
+    if (skipped.length > 0) {
+      message += ` Skipped notes changed since the preview: ${skipped.join(", ")}.`;
+    }
+    new Notice(message);
+  }
+
+  readBlockBody(block, source) {
+    const structure = this.getSourceStructure(source);
+    const { lines } = structure;
+    const bodyStart = Math.max(0, block.lineStart + 1);
+    const bodyEnd = Math.min(lines.length, Math.max(bodyStart, block.lineEnd));
+    const div = structure.divAt(block.lineStart);
+    const headingInfo = div ? findDivHeading(structure, div) : null;
+    const entries = [];
+    for (let line = bodyStart; line < bodyEnd; line += 1) {
+      if (!headingInfo || line !== headingInfo.line) {
+        entries.push({ text: lines[line], line });
+      }
+    }
+
+    return { heading: block.title || (headingInfo ? headingInfo.text : ""), entries };
+  }
+
+  async renderBlockBody(entries, container, sourcePath, source, index) {
+    const blocks = this.getTheoremDescriptors(index);
+    let chunk = [];
+    const flush = async () => {
+      const markdown = chunk.join("\n").trim();
+      chunk = [];
+      if (markdown) {
+        await MarkdownRenderer.renderMarkdown(markdown, container, sourcePath, this);
+      }
+    };
+
+    for (let i = 0; i < entries.length; i += 1) {
+      const nested = blocks.find((block) => block.lineStart === entries[i].line);
+      if (!nested) {
+        chunk.push(entries[i].text);
+        continue;
+      }
+
+      await flush();
+      container.appendChild(await this.createTheoremNodeFromSource(nested, sourcePath, source, index));
+      while (i + 1 < entries.length && entries[i + 1].line <= nested.lineEnd) {
+        i += 1;
+      }
+    }
+    await flush();
+  }
+
+  async createProofNodeFromSource(block, sourcePath, source, index) {
+    const { heading, entries } = this.readBlockBody(block, source);
+    const format = this.getDocumentFormat(sourcePath);
+
+    const proof = document.createElement("div");
+    proof.className = `crossref-theorem crossref-proof crossref-proof-${block.blockClass}`;
+
+    const title = document.createElement("div");
+    title.className = "crossref-theorem-title crossref-proof-title";
+    const name = format.proofNames[block.blockClass] || PROOF_TITLES[block.blockClass];
+    const target = format.linkProofs && block.of ? index.labels.get(block.of) : null;
+    if (target) {
+      const [before, after = ""] = format.proofOfTemplate.replace(/\{name\}/g, name).split("{target}");
+      const segments = [
+        { text: before },
+        {
+          text: descriptorDisplay(target, format),
+          link: { label: target.label, filePath: sourcePath, kind: target.kind }
+        },
+        { text: after }
+      ];
+      title.appendChild(this.createReferenceNodes(segments, { raw: "", items: [] }));
+    } else {
+      title.textContent = name;
+    }
+    title.appendChild(document.createTextNode(`${heading ? ` (${heading})` : ""}${format.titleDelim}`));
+    proof.appendChild(title);
+
+    const body = document.createElement("div");
+    body.className = "crossref-theorem-body";
+    await this.renderBlockBody(entries, body, sourcePath, source, index);
+    proof.appendChild(body);
+
+    if (block.blockClass === "proof" && format.qedSymbol) {
+      const qed = document.createElement("span");
+      qed.className = "crossref-qed";
+      qed.textContent = format.qedSymbol;
+      const last = body.lastElementChild;
+      (last && last.tagName === "P" ? last : body).appendChild(qed);
+    }
+
+    this.stripLabelTokens(proof);
+    this.decorateReferences(proof, index, sourcePath);
+    this.cleanupEmptyParagraphs(proof);
+    return proof;
+  }
+
+  async createTheoremNodeFromSource(descriptor, sourcePath, source, index) {
+    if (descriptor.kind === "proof") {
+      return this.createProofNodeFromSource(descriptor, sourcePath, source, index);
+    }
+
+    const { heading, entries } = this.readBlockBody(descriptor, source);
+
+    const theorem = document.createElement("div");
+    theorem.className = `crossref-theorem crossref-theorem-${descriptor.prefix}`;
+    const custom = this.customTheorems.find((entry) => entry.prefix === descriptor.prefix);
+    if (custom && custom.cssClass) {
+      theorem.classList.add(...custom.cssClass.split(/\s+/));
+    }
+    this.applyTargetHost(theorem, descriptor.label, "theorem");
+
+    const title = document.createElement("div");
+    title.className = "crossref-theorem-title";
+    const format = this.getDocumentFormat(sourcePath);
+    const titlePrefix = descriptorCaption(descriptor, format);
+    title.textContent = heading ? `${titlePrefix}${format.titleDelim} ${heading}` : titlePrefix;
+    this.appendBacklinkBadge(title, descriptor.label, sourcePath);
+    theorem.appendChild(title);
+
+    const body = document.createElement("div");
+    body.className = "crossref-theorem-body";
+    await this.renderBlockBody(entries, body, sourcePath, source, index);
+    theorem.appendChild(body);
+
+    this.stripLabelTokens(theorem);
+    this.decorateReferences(theorem, index, sourcePath);
+    this.cleanupEmptyParagraphs(theorem);
+
+    this.debugLog(sourcePath, "createTheoremNodeFromSource", {
+      label: descriptor.label,
+      heading: heading || "",
+      bodyLineCount: entries.length
+    });
+
+    return theorem;
+  }
+
+  async decorateFigureTargets(root, labels, index, sourcePath) {
+    if (!labels.length) {
+      return;
+    }
+
+    const images = Array.from(root.querySelectorAll("img"));
+    const count = Math.min(labels.length, images.length);
+
+    for (let i = 0; i < count; i += 1) {
+      const label = labels[i];
+      const image = images[i];
+      const host = image.closest("figure, p, div, li") || image.parentElement;
+      if (!(host instanceof HTMLElement)) {
+        continue;
+      }
+
+      const descriptor = index.labels.get(label) || this.createFallbackDescriptor(label);
+      this.applyTargetHost(host, label, "figure");
+
+      let caption = host.querySelector(".crossref-fig-number");
+      if (!caption) {
+        caption = document.createElement("div");
+        caption.className = "crossref-fig-number";
+        host.appendChild(caption);
+      }
+      caption.dataset.label = label;
+      await this.renderCaption(caption, descriptor, sourcePath, index);
+    }
+  }
+
+  async renderCaption(captionEl, descriptor, sourcePath, index) {
+    const format = this.getDocumentFormat(sourcePath);
+    const number = document.createElement("span");
+    number.className = "crossref-caption-number";
+    number.textContent = descriptorCaption(descriptor, format);
+    captionEl.replaceChildren(number);
+
+    if (descriptor.caption) {
+      captionEl.appendChild(document.createTextNode(`${format.captionDelim} `));
+      const text = document.createElement("span");
+      text.className = "crossref-caption-text";
+      await this.renderInlineMarkdown(descriptor.caption, text, sourcePath);
+      captionEl.appendChild(text);
+      this.stripLabelTokens(text);
+      this.decorateReferences(text, index, sourcePath);
+    }
+    this.appendBacklinkBadge(captionEl, descriptor.label, sourcePath);
+  }
+
+  async renderInlineMarkdown(markdown, container, sourcePath) {
+    const wrapper = document.createElement("div");
+    await MarkdownRenderer.renderMarkdown(markdown, wrapper, sourcePath, this);
+    const onlyChild = wrapper.childElementCount === 1 ? wrapper.firstElementChild : null;
+    const source = onlyChild && onlyChild.tagName === "P" ? onlyChild : wrapper;
+    container.append(...Array.from(source.childNodes));
+  }
+
+  selectTableLabels(descriptors) {
+    return descriptors
+      .filter((descriptor) => descriptor.kind === "table" && descriptor.tableStart >= 0)
+      .map((descriptor) => descriptor.label);
+  }
+
+  findHiddenTablePartForSection(index, sectionInfo) {
+    const sectionBounds = this.getSectionBounds(sectionInfo);
+    if (!sectionBounds) {
+      return null;
+    }
+
+    for (const descriptor of index.labels.values()) {
+      if (descriptor.kind !== "table" || descriptor.tableStart < 0) {
+        continue;
+      }
+      const isInside =
+        sectionBounds.start >= descriptor.lineStart && sectionBounds.end <= descriptor.lineEnd;
+      const touchesTable =
+        sectionBounds.end >= descriptor.tableStart && sectionBounds.start <= descriptor.tableEnd;
+      if (isInside && !touchesTable) {
+        return descriptor;
+      }
+    }
+    return null;
+  }
+
+  async decorateTableTargets(root, labels, index, sourcePath) {
+    if (!labels.length) {
+      return;
+    }
+
+    const tables = Array.from(root.querySelectorAll("table"));
+    const count = Math.min(labels.length, tables.length);
+
+    for (let i = 0; i < count; i += 1) {
+      const label = labels[i];
+      const table = tables[i];
+      const host = table.parentElement;
+      if (!(host instanceof HTMLElement)) {
+        continue;
+      }
+
+      const descriptor = index.labels.get(label) || this.createFallbackDescriptor(label);
+      const captionParagraph = findTableCaptionParagraph(root, table, descriptor);
+      this.applyTargetHost(host, label, "table");
+
+      let caption = host.querySelector(".crossref-tbl-caption");
+      if (!caption) {
+        caption = document.createElement("div");
+        caption.className = "crossref-tbl-caption";
+        host.insertBefore(caption, table);
+      }
+
+      caption.dataset.label = label;
+      await this.renderCaption(caption, descriptor, sourcePath, index);
+      if (captionParagraph) {
+        captionParagraph.remove();
+      }
+    }
+  }
+
+  async decorateListingTargets(root, descriptors, index, sourcePath) {
+    const listingDescriptors = descriptors.filter((descriptor) => descriptor.kind === "listing");
+    if (listingDescriptors.length === 0) {
+      return;
+    }
+
+    const blocks = Array.from(root.querySelectorAll("pre"));
+    const used = new Set();
+
+    for (const descriptor of listingDescriptors) {
+      let block = blocks.find((candidate) => {
+        return (
+          !used.has(candidate) &&
+          descriptor.bodyPreview &&
+          (candidate.textContent || "").includes(descriptor.bodyPreview)
+        );
+      });
+      if (!block) {
+        block = blocks.find((candidate) => !used.has(candidate));
+      }
+      if (!block || !(block.parentElement instanceof HTMLElement)) {
+        continue;
+      }
+      used.add(block);
+
+      const host = block.parentElement;
+      this.applyTargetHost(host, descriptor.label, "listing");
+
+      let caption = host.querySelector(`.crossref-lst-caption[data-label="${this.cssEscape(descriptor.label)}"]`);
+      if (!caption) {
+        caption = document.createElement("div");
+        caption.className = "crossref-lst-caption";
+        caption.dataset.label = descriptor.label;
+        host.insertBefore(caption, block);
+      }
+
+      await this.renderCaption(caption, descriptor, sourcePath, index);
+    }
+  }
+
+  decorateSectionTargets(root, descriptors, sourcePath) {
+    const sectionDescriptors = descriptors.filter((descriptor) => descriptor.kind === "section");
+    if (sectionDescriptors.length === 0) {
+      return;
+    }
+
+    const headings = Array.from(root.querySelectorAll("h1, h2, h3, h4, h5, h6"));
+    for (const descriptor of sectionDescriptors) {
+      const heading = headings.find((element) => {
+        return (element.textContent || "").includes(`{#${descriptor.label}`);
+      });
+      if (heading) {
+        this.applyTargetHost(heading, descriptor.label, "section");
+        this.appendBacklinkBadge(heading, descriptor.label, sourcePath);
+      }
+    }
+  }
+
+  applyTargetHost(host, label, kind) {
+    if (!(host instanceof HTMLElement)) {
+      return;
+    }
+
+    host.classList.add("crossref-target");
+    host.classList.add(`crossref-${kind}`);
+    host.dataset.crossrefTarget = label;
+    host.dataset.crossrefKind = kind;
+
+    this.ensureAnchor(host, label);
+  }
+
+  ensureAnchor(host, label) {
+    if (!(host instanceof HTMLElement)) {
+      return;
+    }
+
+    const oldAnchors = Array.from(host.querySelectorAll(".crossref-anchor"));
+    for (const oldAnchor of oldAnchors) {
+      if (oldAnchor.dataset.label !== label) {
+        oldAnchor.remove();
+      }
+    }
+
+    let anchor = host.querySelector(`.crossref-anchor[data-label="${this.cssEscape(label)}"]`);
+    if (!anchor) {
+      anchor = document.createElement("span");
+      anchor.className = "crossref-anchor";
+      anchor.dataset.label = label;
+      host.prepend(anchor);
+    }
+    anchor.id = label;
+  }
+
+  stripLabelTokens(root) {
+    const textNodes = this.collectTextNodes(root, (node) => !this.shouldSkipTextNode(node));
+
+    for (const textNode of textNodes) {
+      const raw = textNode.nodeValue || "";
+      if (!raw.includes("{#")) {
+        continue;
+      }
+
+      if (this.labelPatterns.theoremStart.test(raw.trim())) {
+        continue;
+      }
+
+      const parent = textNode.parentElement;
+      if (parent && this.labelPatterns.theoremStart.test(normalizeText(parent))) {
+        continue;
+      }
+
+      const replaced = raw
+        .replace(/\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}/g, "")
+        .replace(this.labelPatterns.labelToken, "");
+      if (replaced !== raw) {
+        textNode.nodeValue = replaced;
+      }
+    }
+  }
+
+  decorateReferences(root, index, sourcePath) {
+    const textNodes = this.collectTextNodes(root, (node) => !this.shouldSkipTextNode(node));
+
+    for (const textNode of textNodes) {
+      const text = textNode.nodeValue || "";
+      if (!text.includes("@")) {
+        continue;
+      }
+      this.replaceReferencesInNode(textNode, index, sourcePath);
+    }
+  }
+
+  replaceReferencesInNode(textNode, index, sourcePath) {
+    const text = textNode.nodeValue || "";
+    const tokens = findReferenceTokens(text, this.labelPatterns);
+    if (tokens.length === 0) {
+      return;
+    }
+
+    let cursor = 0;
+    const fragment = document.createDocumentFragment();
+    for (const token of tokens) {
+      if (token.start > cursor) {
+        fragment.appendChild(document.createTextNode(text.slice(cursor, token.start)));
+      }
+      fragment.appendChild(this.createReferenceNodes(this.formatReferenceToken(token, index, sourcePath), token));
+      cursor = token.end;
+    }
+
+    if (cursor < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+
+    if (textNode.parentNode) {
+      textNode.parentNode.replaceChild(fragment, textNode);
+    }
+  }
+
+  formatReferenceToken(token, index, sourcePath) {
+    const items = token.items.map((item) => {
+      const resolved = this.resolveReference(item.label, item.notePath, index, sourcePath);
+      if (!resolved) {
+        return Object.assign({}, item, { descriptor: null });
+      }
+      return Object.assign({}, item, {
+        descriptor: resolved.descriptor,
+        filePath: resolved.filePath,
+        noteName: resolved.external ? this.getNoteName(resolved.filePath) : ""
+      });
+    });
+    return formatReferenceSegments(items, (filePath) => this.getDocumentFormat(filePath));
+  }
+
+  createReferenceNodes(segments, token) {
+    const fragment = document.createDocumentFragment();
+    if (!segments.some((segment) => segment.link)) {
+      const missing = document.createElement("span");
+      missing.className = "crossref-ref crossref-ref-missing";
+      missing.dataset.crossrefMissing = token.items.map((item) => item.label).join(" ");
+      missing.textContent = token.raw;
+      fragment.appendChild(missing);
+      return fragment;
+    }
+
+    let lastLink = null;
+    for (const segment of segments) {
+      if (segment.link) {
+        const { label, filePath, kind } = segment.link;
+        const link = document.createElement("a");
+        link.className = `crossref-ref crossref-ref-${kind}`;
+        link.href = `#${label}`;
+        link.dataset.href = `${filePath}#${label}`;
+        link.dataset.crossrefLabel = label;
+        link.dataset.crossrefFile = filePath;
+        link.textContent = segment.text;
+        fragment.appendChild(link);
+        lastLink = link;
+      } else if (segment.note && lastLink) {
+        lastLink.classList.add("crossref-ref-external");
+        const note = document.createElement("span");
+        note.className = "crossref-ref-note";
+        note.textContent = segment.text;
+        lastLink.appendChild(note);
+      } else if (segment.missing) {
+        const missing = document.createElement("span");
+        missing.className = "crossref-ref crossref-ref-missing";
+        missing.dataset.crossrefMissing = segment.missing;
+        missing.textContent = segment.text;
+        fragment.appendChild(missing);
+      } else {
+        fragment.appendChild(document.createTextNode(segment.text));
+      }
+    }
+    return fragment;
+  }
+
+  async handleReferenceClick(event) {
+    if (!(event.target instanceof Element)) {
+      return;
+    }
+
+    const link = event.target.closest("a.crossref-ref");
+    if (!link) {
+      return;
+    }
+
+    const rawLabel = link.dataset.crossrefLabel || (link.getAttribute("href") || "").replace(/^#/, "");
+    const label = decodeURIComponent(rawLabel);
+    if (!label) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const targetFile = link.dataset.crossrefFile || "";
+    const activePath = this.getActiveFilePath();
+    if (targetFile && activePath && targetFile !== activePath) {
+      const navigated = await this.navigateToReferenceLabel(label, link, targetFile);
+      if (!navigated) {
+        this.debugLog(activePath, "cross-file reference target missing", { label, targetFile });
+      }
+      return;
+    }
+
+    const target = this.findTargetElement(label, link);
+    if (!target) {
+      const navigated = await this.navigateToReferenceLabel(label, link);
+      if (!navigated) {
+        this.debugLog(this.getActiveFilePath(), "reference click target missing", { label });
+      }
+      return;
+    }
+
+    this.clearNativeFlashHighlights(link);
+    const focusHost = this.flashTargetElement(target);
+    if (!focusHost) {
+      return;
+    }
+    this.debugLog(this.getActiveFilePath(), "reference click target resolved", {
+      label,
+      kind:
+        (focusHost instanceof HTMLElement && focusHost.dataset
+          ? focusHost.dataset.crossrefKind
+          : "") || ""
+    });
+  }
+
+  handleReferenceHover(event) {
+    if (!this.settings.hoverPreview || !(event.target instanceof Element)) {
+      return;
+    }
+
+    const link = event.target.closest("a.crossref-ref, .cm-crossref-ref");
+    if (!(link instanceof HTMLElement) || link.closest(".crossref-hover-popover")) {
+      return;
+    }
+
+    // `hoverPopover` is only set once a popover shows; `pendingPopover` covers its delay, so
+    // mouseovers on the link (or its children) meanwhile reuse it instead of building another.
+    let parent = this.hoverParents.get(link);
+    if (!parent) {
+      parent = { hoverPopover: null, pendingPopover: null };
+      this.hoverParents.set(link, parent);
+    }
+    if (parent.hoverPopover || parent.pendingPopover) {
+      return;
+    }
+
+    const popover = new HoverPopover(parent, link, HOVER_PREVIEW_DELAY_MS);
+    parent.pendingPopover = popover;
+    popover.register(() => {
+      if (parent.pendingPopover === popover) {
+        parent.pendingPopover = null;
+      }
+    });
+    popover.hoverEl.classList.add("crossref-hover-popover");
+    this.fillReferencePreview(popover, link);
+  }
+
+  async fillReferencePreview(popover, link) {
+    try {
+      const target = await this.resolveHoverTarget(link);
+      const preview = target ? await this.createReferencePreview(target.label, target.filePath) : null;
+      if (!preview) {
+        popover.hide();
+        return;
+      }
+      popover.hoverEl.appendChild(preview);
+    } catch (error) {
+      console.error("Crossref Preview: failed to render hover preview", error);
+      popover.hide();
+    }
+  }
+
+  async resolveHoverTarget(link) {
+    if (link.matches("a.crossref-ref")) {
+      const label = link.dataset.crossrefLabel || "";
+      const filePath = link.dataset.crossrefFile || this.getActiveFilePath();
+      return label && filePath ? { label, filePath } : null;
+    }
+
+    const [token] = findReferenceTokens(link.textContent || "", this.labelPatterns);
+    const sourcePath = this.getSourcePathForElement(link);
+    if (!token || !sourcePath) {
+      return null;
+    }
+
+    const index = this.getCachedIndex(sourcePath, await this.readCurrentSource(sourcePath));
+    await this.waitForVaultLabels(token.items, index, sourcePath);
+    for (const item of token.items) {
+      const resolved = this.resolveReference(item.label, item.notePath, index, sourcePath);
+      if (resolved) {
+        return { label: item.label, filePath: resolved.filePath };
+      }
+    }
+    return null;
+  }
+
+  getSourcePathForElement(element) {
+    for (const leaf of this.app.workspace.getLeavesOfType("markdown")) {
+      const view = leaf.view;
+      if (view && view.file && view.containerEl && view.containerEl.contains(element)) {
+        return view.file.path;
+      }
+    }
+    return this.getActiveFilePath();
+  }
+
+  async createReferencePreview(label, filePath) {
+    const source = await this.readCurrentSource(filePath);
+    if (!source) {
+      return null;
+    }
+
+    const index = this.getCachedIndex(filePath, source);
+    let descriptor = index.labels.get(label);
+    if (descriptor && descriptor.parent) {
+      descriptor = index.labels.get(descriptor.parent) || descriptor;
+    }
+    if (!descriptor) {
+      return null;
+    }
+
+    const preview = document.createElement("div");
+    preview.className = "crossref-hover-preview markdown-rendered";
+
+    if (descriptor.kind === "equation") {
+      preview.appendChild(await this.createEquationNodeFromSource(descriptor, filePath, source, index));
+    } else if (descriptor.kind === "theorem") {
+      preview.appendChild(await this.createTheoremNodeFromSource(descriptor, filePath, source, index));
+    } else if (descriptor.kind === "figure" && descriptor.isPanel) {
+      preview.appendChild(await this.createFigurePanelNodeFromSource(descriptor, filePath, index));
+    } else {
+      const { lines, lineInfo } = this.getSourceStructure(source);
+      let endLine = descriptor.lineEnd;
+      if (descriptor.kind === "section") {
+        endLine = Math.min(lines.length - 1, descriptor.lineStart + SECTION_PREVIEW_MAX_LINES);
+        for (let line = descriptor.lineStart + 1; line <= endLine; line += 1) {
+          if (lineInfo[line].kind === "text" && HEADING_LINE_PATTERN.test(lines[line])) {
+            endLine = line - 1;
+            break;
+          }
+        }
+      }
+      const nodes = await this.renderSourceFragment(source, descriptor.lineStart, endLine, filePath, index);
+      preview.append(...nodes);
+    }
+
+    // The popover lives outside the note, so drop anchors that would shadow the real targets.
+    for (const anchor of Array.from(preview.querySelectorAll(".crossref-anchor"))) {
+      anchor.remove();
+    }
+    for (const target of Array.from(preview.querySelectorAll("[data-crossref-target]"))) {
+      delete target.dataset.crossrefTarget;
+    }
+
+    return preview.childNodes.length > 0 ? preview : null;
+  }
+
+  async navigateToReferenceLabel(label, originLink, filePath = "") {
+    const sourcePath = this.getActiveFilePath();
+    if (!sourcePath) {
+      return false;
+    }
+
+    const targetPath = filePath || sourcePath;
+    const descriptor = this.getDescriptorForLabel(targetPath, label);
+    if (!descriptor) {
+      return false;
+    }
+
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (!activeView || !activeView.leaf) {
+      return false;
+    }
+
+    try {
+      this.startNativeFlashSuppression();
+
+      await this.app.workspace.openLinkText(
+        targetPath,
+        sourcePath,
+        false,
+        {
+          active: true,
+          eState: {
+            line: descriptor.lineStart
+          }
+        }
+      );
+
+      await new Promise((resolve) => {
+        window.setTimeout(resolve, FALLBACK_NAV_RENDER_WAIT_MS);
+      });
+
+      this.clearNativeFlashHighlights(originLink);
+
+      const target = this.findTargetElement(label, originLink);
+      if (target) {
+        const focusHost = this.flashTargetElement(target);
+        if (!focusHost) {
+          return true;
+        }
+        this.debugLog(sourcePath, "reference click target resolved", {
+          label,
+          kind:
+            (focusHost instanceof HTMLElement && focusHost.dataset
+              ? focusHost.dataset.crossrefKind
+              : "") || "",
+          targetPath,
+          via: "fallback-open-link-line"
+        });
+      } else {
+        this.debugLog(sourcePath, "reference fallback navigation attempted", {
+          label,
+          targetPath,
+          line: descriptor.lineStart
+        });
+      }
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  flashTargetElement(target) {
+    if (!(target instanceof Element)) {
+      return null;
+    }
+
+    const focusHost = target.closest("[data-crossref-target]") || target;
+    if (!(focusHost instanceof Element)) {
+      return null;
+    }
+
+    focusHost.scrollIntoView({
+      behavior: this.settings.smoothScroll ? "smooth" : "auto",
+      block: "center"
     });
+    if (!this.settings.flashTarget) {
+      return focusHost;
+    }
+
+    const duration = Math.max(0, Number(this.settings.flashDurationMs) || 0);
+    focusHost.style.setProperty("--crossref-flash-duration", `${duration}ms`);
+    focusHost.classList.add("crossref-target-flash");
+    window.setTimeout(() => {
+      focusHost.classList.remove("crossref-target-flash");
+      focusHost.style.removeProperty("--crossref-flash-duration");
+    }, duration);
+    return focusHost;
+  }
+
+  startNativeFlashSuppression() {
+    if (!document || !document.body) {
+      return;
+    }
+
+    document.body.classList.add(NATIVE_FLASH_SUPPRESS_CLASS);
+    this.clearNativeFlashHighlights();
+    if (this.nativeFlashSuppressTimer) {
+      window.clearTimeout(this.nativeFlashSuppressTimer);
+    }
+
+    this.nativeFlashSuppressTimer = window.setTimeout(() => {
+      this.nativeFlashSuppressTimer = null;
+      if (document && document.body) {
+        document.body.classList.remove(NATIVE_FLASH_SUPPRESS_CLASS);
+      }
+    }, NATIVE_FLASH_SUPPRESS_DURATION_MS);
+  }
+
+  clearNativeFlashHighlights(originLink = null) {
+    const roots = originLink ? this.collectReferenceSearchRoots(originLink) : [document];
+    const visited = new Set();
+
+    for (const root of roots) {
+      if (!root || typeof root.querySelectorAll !== "function") {
+        continue;
+      }
+
+      const flashing = root.querySelectorAll(".is-flashing");
+      for (const node of flashing) {
+        if (!(node instanceof HTMLElement) || visited.has(node)) {
+          continue;
+        }
+        visited.add(node);
+        node.classList.remove("is-flashing");
+      }
+    }
+  }
+
+  findTargetElement(label, originLink) {
+    const roots = this.collectReferenceSearchRoots(originLink);
+
+    for (const root of roots) {
+      const direct = this.findDirectTargetInRoot(root, label);
+      if (direct) {
+        return direct;
+      }
+    }
+
+    for (const root of roots) {
+      const badgeTarget = this.findBadgeTargetInRoot(root, label);
+      if (badgeTarget) {
+        return badgeTarget;
+      }
+    }
 
-    return theorem;
+    const sourcePath = this.getActiveFilePath();
+    const descriptor = this.getDescriptorForLabel(sourcePath, label);
+    if (!descriptor) {
+      return null;
+    }
+
+    for (const root of roots) {
+      const byRange = this.findTargetBySectionRange(root, descriptor);
+      if (byRange) {
+        return byRange;
+      }
+    }
+
+    return null;
   }
 
-  decorateFigureTargets(root, labels, index) {
-    if (!labels.length) {
-      return;
+  collectReferenceSearchRoots(originLink) {
+    const roots = [];
+    const seen = new Set();
+    const add = (root) => {
+      if (!root || seen.has(root)) {
+        return;
+      }
+      seen.add(root);
+      roots.push(root);
+    };
+
+    if (originLink) {
+      add(originLink.closest(".workspace-leaf-content"));
+      add(originLink.closest(".markdown-preview-sizer, .markdown-preview-view, .markdown-rendered"));
     }
 
-    const images = Array.from(root.querySelectorAll("img"));
-    const count = Math.min(labels.length, images.length);
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (activeView && activeView.contentEl) {
+      add(activeView.contentEl);
+    }
 
-    for (let i = 0; i < count; i += 1) {
-      const label = labels[i];
-      const image = images[i];
-      const host = image.closest("figure, p, div, li") || image.parentElement;
-      if (!(host instanceof HTMLElement)) {
+    add(document);
+    return roots;
+  }
+
+  findDirectTargetInRoot(root, label) {
+    if (!root || typeof root.querySelectorAll !== "function") {
+      return null;
+    }
+
+    const byId =
+      root instanceof Document
+        ? root.getElementById(label)
+        : root.querySelector(`#${this.cssEscape(label)}`);
+    if (byId) {
+      return byId;
+    }
+
+    const targets = root.querySelectorAll("[data-crossref-target]");
+    for (const target of targets) {
+      if (target instanceof HTMLElement && target.dataset.crossrefTarget === label) {
+        return target;
+      }
+    }
+
+    return null;
+  }
+
+  findBadgeTargetInRoot(root, label) {
+    if (!root || typeof root.querySelector !== "function") {
+      return null;
+    }
+
+    const escaped = this.cssEscape(label);
+    const equationBadge = root.querySelector(`.crossref-eq-number[data-label="${escaped}"]`);
+    if (equationBadge instanceof HTMLElement) {
+      return equationBadge.closest("[data-crossref-target]") || equationBadge.parentElement;
+    }
+
+    const figureBadge = root.querySelector(`.crossref-fig-number[data-label="${escaped}"]`);
+    if (figureBadge instanceof HTMLElement) {
+      return figureBadge.closest("[data-crossref-target]") || figureBadge.parentElement;
+    }
+
+    const tableCaption = root.querySelector(`.crossref-tbl-caption[data-label="${escaped}"]`);
+    if (tableCaption instanceof HTMLElement) {
+      return tableCaption.closest("[data-crossref-target]") || tableCaption.parentElement;
+    }
+
+    const listingCaption = root.querySelector(`.crossref-lst-caption[data-label="${escaped}"]`);
+    if (listingCaption instanceof HTMLElement) {
+      return listingCaption.closest("[data-crossref-target]") || listingCaption.parentElement;
+    }
+
+    return null;
+  }
+
+  findTargetBySectionRange(root, descriptor) {
+    if (
+      !root ||
+      typeof root.querySelectorAll !== "function" ||
+      !descriptor ||
+      !Number.isFinite(descriptor.lineStart) ||
+      !Number.isFinite(descriptor.lineEnd)
+    ) {
+      return null;
+    }
+
+    const sections = root.querySelectorAll("[data-crossref-line-start][data-crossref-line-end]");
+    for (const section of sections) {
+      if (!(section instanceof HTMLElement)) {
         continue;
       }
 
-      const descriptor = index.labels.get(label) || this.createFallbackDescriptor(label);
-      this.applyTargetHost(host, label, "figure");
+      const start = Number(section.dataset.crossrefLineStart);
+      const end = Number(section.dataset.crossrefLineEnd);
+      if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        continue;
+      }
 
-      let caption = host.querySelector(".crossref-fig-number");
-      if (!caption) {
-        caption = document.createElement("div");
-        caption.className = "crossref-fig-number";
-        host.appendChild(caption);
+      if (end < descriptor.lineStart || start > descriptor.lineEnd) {
+        continue;
       }
-      caption.dataset.label = label;
-      caption.textContent = descriptorDisplay(descriptor);
+
+      if (descriptor.kind === "equation") {
+        const eqHost = section.querySelector(
+          '[data-crossref-kind="equation"], .crossref-equation, .math.math-block, .math-block, mjx-container[display="true"]'
+        );
+        if (eqHost instanceof HTMLElement) {
+          return eqHost.closest("[data-crossref-target]") || eqHost;
+        }
+      } else if (descriptor.kind === "figure") {
+        const figHost = section.querySelector(
+          '[data-crossref-kind="figure"], .crossref-figure, figure, img'
+        );
+        if (figHost instanceof HTMLElement) {
+          return figHost.closest("[data-crossref-target]") || figHost;
+        }
+      } else if (descriptor.kind === "section") {
+        const headingHost = section.querySelector(
+          '[data-crossref-kind="section"], h1, h2, h3, h4, h5, h6'
+        );
+        if (headingHost instanceof HTMLElement) {
+          return headingHost;
+        }
+      } else if (descriptor.kind === "listing") {
+        const listingHost = section.querySelector('[data-crossref-kind="listing"], pre');
+        if (listingHost instanceof HTMLElement) {
+          return listingHost.closest("[data-crossref-target]") || listingHost;
+        }
+      } else if (descriptor.kind === "table") {
+        const tableHost = section.querySelector('[data-crossref-kind="table"], table');
+        if (tableHost instanceof HTMLElement) {
+          return tableHost.closest("[data-crossref-target]") || tableHost;
+        }
+      } else {
+        const theoremHost = section.querySelector(
+          '[data-crossref-kind="theorem"], .crossref-theorem'
+        );
+        if (theoremHost instanceof HTMLElement) {
+          return theoremHost.closest("[data-crossref-target]") || theoremHost;
+        }
+      }
+
+      return section;
     }
+
+    return null;
   }
 
-  applyTargetHost(host, label, kind) {
-    if (!(host instanceof HTMLElement)) {
-      return;
-    }
+  cleanupOrphanFenceMarkers(root) {
+    const paragraphs = Array.from(root.querySelectorAll("p"));
+    for (const paragraph of paragraphs) {
+      if (paragraph.querySelector("img, .math, mjx-container, .crossref-theorem")) {
+        continue;
+      }
 
-    host.classList.add("crossref-target");
-    host.classList.add(`crossref-${kind}`);
-    host.dataset.crossrefTarget = label;
-    host.dataset.crossrefKind = kind;
+      const text = normalizeText(paragraph);
+      if (!THEOREM_END_PATTERN.test(text)) {
+        continue;
+      }
 
-    this.ensureAnchor(host, label);
+      const prev = paragraph.previousElementSibling;
+      if (prev && prev.classList.contains("crossref-theorem")) {
+        paragraph.remove();
+      }
+    }
   }
 
-  ensureAnchor(host, label) {
-    if (!(host instanceof HTMLElement)) {
-      return;
+  cleanupEmptyParagraphs(root) {
+    const paragraphs = Array.from(root.querySelectorAll("p"));
+    for (const paragraph of paragraphs) {
+      if (paragraph.querySelector("img, .math, mjx-container")) {
+        continue;
+      }
+      if ((paragraph.textContent || "").trim().length > 0) {
+        continue;
+      }
+      paragraph.remove();
     }
+  }
 
-    const oldAnchors = Array.from(host.querySelectorAll(".crossref-anchor"));
-    for (const oldAnchor of oldAnchors) {
-      if (oldAnchor.dataset.label !== label) {
-        oldAnchor.remove();
+  collectTextNodes(root, predicate) {
+    const nodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let current = walker.nextNode();
+    while (current) {
+      if (predicate(current)) {
+        nodes.push(current);
       }
+      current = walker.nextNode();
     }
+    return nodes;
+  }
 
-    let anchor = host.querySelector(`.crossref-anchor[data-label="${this.cssEscape(label)}"]`);
-    if (!anchor) {
-      anchor = document.createElement("span");
-      anchor.className = "crossref-anchor";
-      anchor.dataset.label = label;
-      host.prepend(anchor);
+  shouldSkipTextNode(textNode) {
+    const parent = textNode.parentElement;
+    if (!parent) {
+      return true;
     }
-    anchor.id = label;
+
+    return Boolean(
+      parent.closest(
+        "a, code, pre, .math, mjx-container, .cm-inline-code, .cm-formatting-code, .crossref-eq-number, .crossref-caption-number, .crossref-theorem-title"
+      )
+    );
   }
 
-  stripLabelTokens(root) {
-    const textNodes = this.collectTextNodes(root, (node) => !this.shouldSkipTextNode(node));
+  createFallbackDescriptor(label) {
+    const prefix = label.includes("-") ? label.split("-")[0] : "thm";
+    let kind = "theorem";
+    if (prefix === "eq") {
+      kind = "equation";
+    } else if (prefix === "fig") {
+      kind = "figure";
+    } else if (prefix === "tbl") {
+      kind = "table";
+    } else if (prefix === "sec") {
+      kind = "section";
+    } else if (prefix === "lst") {
+      kind = "listing";
+    }
+
+    return {
+      label,
+      prefix,
+      kind,
+      number: "?",
+      title: "",
+      lineStart: 0,
+      lineEnd: 0
+    };
+  }
+
+  cssEscape(value) {
+    if (typeof CSS !== "undefined" && CSS && typeof CSS.escape === "function") {
+      return CSS.escape(value);
+    }
+    return String(value).replace(/([^\w-])/g, "\\$1");
+  }
+}
+
+class CrossrefLabelPickerModal extends FuzzySuggestModal {
+  constructor(plugin, filePath, descriptors, onChoose) {
+    super(plugin.app);
+    this.plugin = plugin;
+    this.filePath = filePath;
+    this.descriptors = descriptors;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Choose a label to rename");
+  }
+
+  getItems() {
+    return this.descriptors;
+  }
+
+  getItemText(descriptor) {
+    const display = descriptorDisplay(descriptor, this.plugin.getDocumentFormat(this.filePath));
+    return `${descriptor.label} · ${display}`;
+  }
 
-    for (const textNode of textNodes) {
-      const raw = textNode.nodeValue || "";
-      if (!raw.includes("{#")) {
-        continue;
-      }
+  onChooseItem(descriptor) {
+    this.onChoose(descriptor);
+  }
+}
 
-      if (THEOREM_START_PATTERN.test(raw.trim())) {
-        continue;
-      }
+class CrossrefPrefixPickerModal extends FuzzySuggestModal {
+  constructor(plugin, items, onChoose) {
+    super(plugin.app);
+    this.items = items;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Choose a theorem environment");
+  }
 
-      const parent = textNode.parentElement;
-      if (parent && THEOREM_START_PATTERN.test(normalizeText(parent))) {
-        continue;
-      }
+  getItems() {
+    return this.items;
+  }
 
-      const replaced = raw
-        .replace(/\$\$\s*\{#(eq-[A-Za-z0-9_-]+)\}/g, "")
-        .replace(LABEL_TOKEN_PATTERN, "");
-      if (replaced !== raw) {
-        textNode.nodeValue = replaced;
-      }
-    }
+  getItemText(item) {
+    return `${item.prefix} · ${item.desc}`;
   }
 
-  decorateReferences(root, index, sourcePath) {
-    const textNodes = this.collectTextNodes(root, (node) => !this.shouldSkipTextNode(node));
+  onChooseItem(item) {
+    this.onChoose(item);
+  }
+}
 
-    for (const textNode of textNodes) {
-      const text = textNode.nodeValue || "";
-      if (!text.includes("@")) {
-        continue;
-      }
-      this.replaceReferencesInNode(textNode, index, sourcePath);
-    }
+class CrossrefReferencePickerModal extends FuzzySuggestModal {
+  constructor(plugin, candidates, onChoose) {
+    super(plugin.app);
+    this.plugin = plugin;
+    this.candidates = candidates;
+    this.onChoose = onChoose;
+    this.setPlaceholder("Choose a label to reference");
   }
 
-  replaceReferencesInNode(textNode, index, sourcePath) {
-    const text = textNode.nodeValue || "";
-    REF_PATTERN.lastIndex = 0;
+  getItems() {
+    return this.candidates;
+  }
 
-    let cursor = 0;
-    let replaced = false;
-    const fragment = document.createDocumentFragment();
-    let match = REF_PATTERN.exec(text);
+  getItemText(candidate) {
+    const format = this.plugin.getDocumentFormat(candidate.filePath);
+    const caption = candidate.descriptor.caption || candidate.descriptor.title || "";
+    return `${candidate.insertText} ${descriptorDisplay(candidate.descriptor, format)} ${candidate.noteName} ${caption}`;
+  }
 
-    while (match) {
-      const raw = match[0];
-      const label = match[1];
-      const atIndex = match.index;
-      const previous = atIndex > 0 ? text.charAt(atIndex - 1) : "";
+  renderSuggestion(match, el) {
+    this.plugin.renderReferenceCandidate(match.item, el);
+  }
 
-      if (atIndex > 0 && /[A-Za-z0-9_]/.test(previous)) {
-        match = REF_PATTERN.exec(text);
-        continue;
-      }
+  onChooseItem(candidate) {
+    this.onChoose(candidate);
+  }
+}
 
-      if (atIndex > cursor) {
-        fragment.appendChild(document.createTextNode(text.slice(cursor, atIndex)));
-      }
+class CrossrefRenameLabelModal extends Modal {
+  constructor(plugin, filePath, descriptor) {
+    super(plugin.app);
+    this.plugin = plugin;
+    this.filePath = filePath;
+    this.descriptor = descriptor;
+    this.newLabel = descriptor.label;
+    this.plan = null;
+  }
 
-      const descriptor = index.labels.get(label);
-      if (descriptor) {
-        const link = document.createElement("a");
-        link.className = `crossref-ref crossref-ref-${descriptor.kind}`;
-        link.href = `#${label}`;
-        link.dataset.href = `${sourcePath}#${label}`;
-        link.dataset.crossrefLabel = label;
-        link.textContent = descriptorDisplay(descriptor);
-        fragment.appendChild(link);
-      } else {
-        const missing = document.createElement("span");
-        missing.className = "crossref-ref crossref-ref-missing";
-        missing.dataset.crossrefMissing = label;
-        missing.textContent = raw;
-        fragment.appendChild(missing);
-      }
+  onOpen() {
+    const { contentEl } = this;
+    this.titleEl.setText(`Rename ${this.descriptor.label}`);
 
-      cursor = atIndex + raw.length;
-      replaced = true;
-      match = REF_PATTERN.exec(text);
+    const setting = new Setting(contentEl).setName("New label");
+    if (this.filePath !== this.plugin.getActiveFilePath()) {
+      setting.setDesc(`Defined in ${this.filePath}`);
     }
+    setting.addText((text) => {
+      text.setValue(this.newLabel).onChange((value) => {
+        this.newLabel = value.trim();
+        this.plan = null;
+        this.applyButton.setDisabled(true);
+        this.previewEl.empty();
+      });
+      text.inputEl.addEventListener("keydown", (event) => {
+        if (event.key !== "Enter") {
+          return;
+        }
+        event.preventDefault();
+        if (this.plan) {
+          this.apply();
+        } else {
+          this.preview();
+        }
+      });
+      window.setTimeout(() => text.inputEl.select(), 0);
+    });
 
-    if (!replaced) {
-      return;
-    }
+    this.previewEl = contentEl.createDiv({ cls: "crossref-rename-preview" });
 
-    if (cursor < text.length) {
-      fragment.appendChild(document.createTextNode(text.slice(cursor)));
-    }
+    new Setting(contentEl)
+      .addButton((button) => {
+        button.setButtonText("Preview").onClick(() => this.preview());
+      })
+      .addButton((button) => {
+        this.applyButton = button;
+        button.setButtonText("Apply").setCta().setDisabled(true).onClick(() => this.apply());
+      });
+  }
 
-    if (textNode.parentNode) {
-      textNode.parentNode.replaceChild(fragment, textNode);
-    }
+  onClose() {
+    this.contentEl.empty();
   }
 
-  async handleReferenceClick(event) {
-    if (!(event.target instanceof Element)) {
+  async preview() {
+    const previewEl = this.previewEl;
+    previewEl.empty();
+    const error = this.plugin.validateLabelRename(this.filePath, this.descriptor, this.newLabel);
+    if (error) {
+      previewEl.createDiv({ cls: "crossref-rename-error", text: error });
       return;
     }
 
-    const link = event.target.closest("a.crossref-ref");
-    if (!link) {
+    const newLabel = this.newLabel;
+    const plan = await this.plugin.planLabelRename(this.filePath, this.descriptor.label, newLabel);
+    if (newLabel !== this.newLabel) {
       return;
     }
-
-    const rawLabel = link.dataset.crossrefLabel || (link.getAttribute("href") || "").replace(/^#/, "");
-    const label = decodeURIComponent(rawLabel);
-    if (!label) {
+    if (!plan) {
+      previewEl.createDiv({
+        cls: "crossref-rename-error",
+        text: `Could not find the definition of ${this.descriptor.label}; the note may have changed.`
+      });
       return;
     }
 
-    event.preventDefault();
-
-    const target = this.findTargetElement(label, link);
-    if (!target) {
-      const navigated = await this.navigateToReferenceLabel(label, link);
-      if (!navigated) {
-        this.debugLog(this.getActiveFilePath(), "reference click target missing", { label });
+    if (plan.elsewhere.length > 0) {
+      const notes = plan.elsewhere.join(", ");
+      previewEl.createDiv({
+        cls: "crossref-rename-warning",
+        text: `${newLabel} is also defined in ${notes}; unqualified references from other notes may resolve there.`
+      });
+    }
+    for (const change of plan.files) {
+      previewEl.createDiv({
+        cls: "crossref-rename-file",
+        text: `${change.filePath} (${change.edits.length} change${change.edits.length === 1 ? "" : "s"})`
+      });
+      const lineNumbers = Array.from(new Set(change.edits.map((edit) => edit.line))).sort((a, b) => a - b);
+      const renamed = applyLineEdits(change.lines, change.edits);
+      for (const line of lineNumbers) {
+        const row = previewEl.createDiv({ cls: "crossref-rename-line" });
+        row.createSpan({ cls: "crossref-rename-line-number", text: String(line + 1) });
+        row.createDiv({ cls: "crossref-rename-before", text: shortText(change.lines[line]) });
+        row.createDiv({ cls: "crossref-rename-after", text: shortText(renamed[line]) });
       }
-      return;
     }
 
-    this.clearNativeFlashHighlights(link);
-    const focusHost = this.flashTargetElement(target);
-    if (!focusHost) {
-      return;
-    }
-    this.debugLog(this.getActiveFilePath(), "reference click target resolved", {
-      label,
-      kind:
-        (focusHost instanceof HTMLElement && focusHost.dataset
-          ? focusHost.dataset.crossrefKind
-          : "") || ""
-    });
+    this.plan = plan;
+    this.applyButton.setDisabled(false);
   }
 
-  async navigateToReferenceLabel(label, originLink) {
-    const sourcePath = this.getActiveFilePath();
-    if (!sourcePath) {
-      return false;
-    }
-
-    const descriptor = this.getDescriptorForLabel(sourcePath, label);
-    if (!descriptor) {
-      return false;
-    }
-
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (!activeView || !activeView.leaf) {
-      return false;
+  async apply() {
+    if (!this.plan) {
+      return;
     }
+    await this.plugin.applyLabelRename(this.plan);
+    this.close();
+  }
+}
 
-    try {
-      this.startNativeFlashSuppression();
+class CrossrefBacklinksModal extends SuggestModal {
+  constructor(plugin, label, backlinks) {
+    super(plugin.app);
+    this.plugin = plugin;
+    this.backlinks = backlinks;
+    this.setPlaceholder(`References to ${label}`);
+  }
 
-      await this.app.workspace.openLinkText(
-        sourcePath,
-        sourcePath,
-        false,
-        {
-          active: true,
-          eState: {
-            line: descriptor.lineStart
-          }
-        }
-      );
+  getSuggestions(query) {
+    const needle = query.trim().toLowerCase();
+    return this.backlinks.filter((backlink) => {
+      return !needle || `${backlink.noteName} ${backlink.snippet}`.toLowerCase().includes(needle);
+    });
+  }
 
-      await new Promise((resolve) => {
-        window.setTimeout(resolve, FALLBACK_NAV_RENDER_WAIT_MS);
-      });
+  renderSuggestion(backlink, el) {
+    el.createDiv({ cls: "crossref-backlink-note", text: `${backlink.noteName}:${backlink.line + 1}` });
+    el.createDiv({ cls: "crossref-backlink-snippet", text: backlink.snippet });
+  }
 
-      this.clearNativeFlashHighlights(originLink);
+  onChooseSuggestion(backlink) {
+    this.plugin.openFileAt(backlink.filePath, backlink.line, backlink.ch);
+  }
+}
 
-      const target = this.findTargetElement(label, originLink);
-      if (target) {
-        const focusHost = this.flashTargetElement(target);
-        if (!focusHost) {
-          return true;
-        }
-        this.debugLog(sourcePath, "reference click target resolved", {
-          label,
-          kind:
-            (focusHost instanceof HTMLElement && focusHost.dataset
-              ? focusHost.dataset.crossrefKind
-              : "") || "",
-          via: "fallback-open-link-line"
-        });
-      } else {
-        this.debugLog(sourcePath, "reference fallback navigation attempted", {
-          label,
-          line: descriptor.lineStart
-        });
-      }
-      return true;
-    } catch (_error) {
-      return false;
-    }
+class CrossrefOutlineView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.filePath = "";
+    this.query = "";
+    this.requestRender = debounce(() => this.render(), OUTLINE_REFRESH_DELAY_MS, true);
   }
 
-  flashTargetElement(target) {
-    if (!(target instanceof Element)) {
-      return null;
-    }
+  getViewType() {
+    return OUTLINE_VIEW_TYPE;
+  }
 
-    const focusHost = target.closest("[data-crossref-target]") || target;
-    if (!(focusHost instanceof Element)) {
-      return null;
-    }
+  getDisplayText() {
+    return "Crossref outline";
+  }
 
-    focusHost.scrollIntoView({ behavior: "smooth", block: "center" });
-    focusHost.classList.add("crossref-target-flash");
-    window.setTimeout(() => {
-      focusHost.classList.remove("crossref-target-flash");
-    }, TARGET_FLASH_DURATION_MS);
-    return focusHost;
+  getIcon() {
+    return "list-ordered";
   }
 
-  startNativeFlashSuppression() {
-    if (!document || !document.body) {
-      return;
-    }
+  async onOpen() {
+    const container = this.contentEl;
+    container.empty();
+    container.addClass("crossref-outline");
 
-    document.body.classList.add(NATIVE_FLASH_SUPPRESS_CLASS);
-    this.clearNativeFlashHighlights();
-    if (this.nativeFlashSuppressTimer) {
-      window.clearTimeout(this.nativeFlashSuppressTimer);
-    }
+    const filterEl = container.createEl("input", {
+      cls: "crossref-outline-filter",
+      attr: { type: "search", placeholder: "Filter by label, number or title" }
+    });
+    filterEl.addEventListener("input", () => {
+      this.query = filterEl.value.trim().toLowerCase();
+      this.render();
+    });
+    this.listEl = container.createDiv({ cls: "crossref-outline-list" });
 
-    this.nativeFlashSuppressTimer = window.setTimeout(() => {
-      this.nativeFlashSuppressTimer = null;
-      if (document && document.body) {
-        document.body.classList.remove(NATIVE_FLASH_SUPPRESS_CLASS);
-      }
-    }, NATIVE_FLASH_SUPPRESS_DURATION_MS);
+    this.registerEvent(this.app.workspace.on("active-leaf-change", () => this.followActiveNote()));
+    this.registerEvent(this.app.workspace.on("editor-change", () => this.requestRender()));
+    this.followActiveNote();
   }
 
-  clearNativeFlashHighlights(originLink = null) {
-    const roots = originLink ? this.collectReferenceSearchRoots(originLink) : [document];
-    const visited = new Set();
-
-    for (const root of roots) {
-      if (!root || typeof root.querySelectorAll !== "function") {
-        continue;
-      }
+  async onClose() {
+    this.contentEl.empty();
+  }
 
-      const flashing = root.querySelectorAll(".is-flashing");
-      for (const node of flashing) {
-        if (!(node instanceof HTMLElement) || visited.has(node)) {
-          continue;
-        }
-        visited.add(node);
-        node.classList.remove("is-flashing");
-      }
+  // Sidebar leaves (including this one) also become active; keep the last note in that case.
+  followActiveNote() {
+    const filePath = this.plugin.getActiveFilePath();
+    if (filePath && filePath !== this.filePath) {
+      this.filePath = filePath;
+      this.render();
+    } else if (!this.filePath) {
+      this.render();
     }
   }
 
-  findTargetElement(label, originLink) {
-    const roots = this.collectReferenceSearchRoots(originLink);
-
-    for (const root of roots) {
-      const direct = this.findDirectTargetInRoot(root, label);
-      if (direct) {
-        return direct;
-      }
+  async render() {
+    const filePath = this.filePath;
+    if (!filePath) {
+      this.listEl.empty();
+      this.listEl.createDiv({ cls: "crossref-outline-empty", text: "Open a note to list its labels." });
+      return;
     }
 
-    for (const root of roots) {
-      const badgeTarget = this.findBadgeTargetInRoot(root, label);
-      if (badgeTarget) {
-        return badgeTarget;
-      }
+    const descriptors = await this.plugin.getLabelDescriptors(filePath);
+    if (filePath !== this.filePath) {
+      return;
     }
-
-    const sourcePath = this.getActiveFilePath();
-    const descriptor = this.getDescriptorForLabel(sourcePath, label);
-    if (!descriptor) {
-      return null;
+    // Reference counts fill in once the vault index is built.
+    if (!this.plugin.vaultIndexReady) {
+      this.plugin.ensureVaultIndex().then(() => this.requestRender());
     }
 
-    for (const root of roots) {
-      const byRange = this.findTargetBySectionRange(root, descriptor);
-      if (byRange) {
-        return byRange;
+    const format = this.plugin.getDocumentFormat(filePath);
+    const incoming = this.plugin.collectIncomingReferences(filePath);
+    const listEl = this.listEl;
+    listEl.empty();
+
+    let shown = 0;
+    for (const kind of DESCRIPTOR_KINDS) {
+      const entries = descriptors
+        .filter((descriptor) => descriptor.kind === kind)
+        .map((descriptor) => {
+          return {
+            descriptor,
+            display: descriptorDisplay(descriptor, format),
+            text: shortText(descriptor.title || descriptor.caption || "", 80),
+            count: (incoming.get(descriptor.label) || []).length
+          };
+        })
+        .filter((entry) => {
+          const haystack = `${entry.descriptor.label} ${entry.display} ${entry.text}`.toLowerCase();
+          return !this.query || haystack.includes(this.query);
+        });
+      if (entries.length === 0) {
+        continue;
+      }
+
+      listEl.createDiv({ cls: "crossref-outline-group", text: OUTLINE_GROUP_TITLES[kind] });
+      for (const entry of entries) {
+        const row = listEl.createDiv({ cls: "crossref-outline-item" });
+        row.setAttr("title", entry.descriptor.label);
+        row.createSpan({ cls: "crossref-outline-number", text: entry.display });
+        row.createSpan({ cls: "crossref-outline-text", text: entry.text });
+        row.createSpan({
+          cls: `crossref-outline-count${entry.count === 0 ? " is-unused" : ""}`,
+          text: String(entry.count),
+          attr: { "aria-label": `${entry.count} reference${entry.count === 1 ? "" : "s"}` }
+        });
+        row.addEventListener("click", () => this.plugin.revealLabel(filePath, entry.descriptor.label));
+        shown += 1;
       }
     }
 
-    return null;
+    if (shown === 0) {
+      listEl.createDiv({
+        cls: "crossref-outline-empty",
+        text: this.query ? "No labels match the filter." : "This note defines no labels."
+      });
+    }
   }
+}
 
-  collectReferenceSearchRoots(originLink) {
-    const roots = [];
-    const seen = new Set();
-    const add = (root) => {
-      if (!root || seen.has(root)) {
-        return;
-      }
-      seen.add(root);
-      roots.push(root);
-    };
+class CrossrefDiagnosticsView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
 
-    const leafContent = originLink.closest(".workspace-leaf-content");
-    if (leafContent) {
-      add(leafContent);
-    }
+  getViewType() {
+    return DIAGNOSTICS_VIEW_TYPE;
+  }
 
-    const previewRoot = originLink.closest(
-      ".markdown-preview-sizer, .markdown-preview-view, .markdown-rendered"
-    );
-    if (previewRoot) {
-      add(previewRoot);
-    }
+  getDisplayText() {
+    return "Crossref diagnostics";
+  }
 
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (activeView && activeView.contentEl) {
-      add(activeView.contentEl);
-    }
+  getIcon() {
+    return "alert-triangle";
+  }
 
-    add(document);
-    return roots;
+  async onOpen() {
+    this.render();
   }
 
-  findDirectTargetInRoot(root, label) {
-    if (!root || typeof root.querySelectorAll !== "function") {
-      return null;
-    }
+  async onClose() {
+    this.contentEl.empty();
+  }
 
-    const byId =
-      root instanceof Document
-        ? root.getElementById(label)
-        : root.querySelector(`#${this.cssEscape(label)}`);
-    if (byId) {
-      return byId;
+  render() {
+    const container = this.contentEl;
+    const result = this.plugin.diagnosticsResult;
+    container.empty();
+    container.addClass("crossref-diagnostics");
+
+    const toolbar = container.createDiv({ cls: "crossref-diagnostics-toolbar" });
+    const addButton = (text, onClick) => {
+      toolbar.createEl("button", { text }).addEventListener("click", onClick);
+    };
+    addButton("Check note", () => this.plugin.checkDiagnostics(DIAGNOSTICS_SCOPE_NOTE));
+    addButton("Check vault", () => this.plugin.checkDiagnostics(DIAGNOSTICS_SCOPE_VAULT));
+    addButton("Copy report", () => this.plugin.copyDiagnosticsReport(result));
+
+    if (!result) {
+      container.createDiv({
+        cls: "crossref-diagnostics-summary",
+        text: "Run a check to list duplicate, invalid, unresolved and unused labels."
+      });
+      return;
     }
 
-    const targets = root.querySelectorAll("[data-crossref-target]");
-    for (const target of targets) {
-      if (target instanceof HTMLElement && target.dataset.crossrefTarget === label) {
-        return target;
+    container.createDiv({ cls: "crossref-diagnostics-summary", text: describeDiagnostics(result) });
+    let currentPath = "";
+    for (const diagnostic of result.diagnostics) {
+      if (diagnostic.filePath !== currentPath) {
+        currentPath = diagnostic.filePath;
+        container.createDiv({ cls: "crossref-diagnostics-file", text: currentPath });
       }
+
+      const row = container.createDiv({
+        cls: `crossref-diagnostic crossref-diagnostic-${diagnostic.severity}`
+      });
+      row.createSpan({
+        cls: "crossref-diagnostic-location",
+        text: `${diagnostic.line + 1}:${diagnostic.ch + 1}`
+      });
+      row.createSpan({ cls: "crossref-diagnostic-message", text: diagnostic.message });
+      row.addEventListener("click", () => {
+        this.plugin.openFileAt(diagnostic.filePath, diagnostic.line, diagnostic.ch);
+      });
     }
+  }
+}
 
-    return null;
+class CrossrefSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
   }
 
-  findBadgeTargetInRoot(root, label) {
-    if (!root || typeof root.querySelector !== "function") {
-      return null;
-    }
+  hide() {
+    this.plugin.flushSettingsSave();
+  }
 
-    const escaped = this.cssEscape(label);
-    const equationBadge = root.querySelector(`.crossref-eq-number[data-label="${escaped}"]`);
-    if (equationBadge instanceof HTMLElement) {
-      return equationBadge.closest("[data-crossref-target]") || equationBadge.parentElement;
-    }
+  display() {
+    const { containerEl } = this;
+    const settings = this.plugin.settings;
+    containerEl.empty();
+
+    new Setting(containerEl).setName("References").setHeading();
+
+    new Setting(containerEl)
+      .setName("Cross-file lookup scope")
+      .setDesc("Where unqualified @label references are looked up when the label is not in the current note.")
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOption(CROSS_FILE_SCOPE_VAULT, "Whole vault")
+          .addOption(CROSS_FILE_SCOPE_FOLDER, "Current folder")
+          .setValue(settings.crossFileScope)
+          .onChange(async (value) => {
+            settings.crossFileScope = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-    const figureBadge = root.querySelector(`.crossref-fig-number[data-label="${escaped}"]`);
-    if (figureBadge instanceof HTMLElement) {
-      return figureBadge.closest("[data-crossref-target]") || figureBadge.parentElement;
-    }
+    this.addTemplateSettings(
+      "Reference format",
+      "How @label references are rendered. Use {number} and, for theorem blocks, {name}.",
+      "referenceTemplates",
+      DESCRIPTOR_KINDS
+    );
+    this.addTemplateSettings(
+      "Caption format",
+      "How numbers are shown on the target itself (equation badge, figure, table and listing caption, theorem title).",
+      "captionTemplates",
+      CAPTIONED_KINDS
+    );
 
-    return null;
-  }
+    new Setting(containerEl)
+      .setName("Title delimiter")
+      .setDesc("Placed between a theorem number and its title, e.g. \".\" gives \"Theorem 1. Title\".")
+      .addText((text) => {
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.titleDelim)
+          .setValue(settings.titleDelim)
+          .onChange((value) => {
+            settings.titleDelim = value;
+            this.plugin.requestSettingsSave();
+          });
+      });
 
-  findTargetBySectionRange(root, descriptor) {
-    if (
-      !root ||
-      typeof root.querySelectorAll !== "function" ||
-      !descriptor ||
-      !Number.isFinite(descriptor.lineStart) ||
-      !Number.isFinite(descriptor.lineEnd)
-    ) {
-      return null;
-    }
+    new Setting(containerEl)
+      .setName("Caption delimiter")
+      .setDesc("Placed between a table or listing number and its caption, e.g. \":\" gives \"Table 1: Caption\".")
+      .addText((text) => {
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.captionDelim)
+          .setValue(settings.captionDelim)
+          .onChange((value) => {
+            settings.captionDelim = value;
+            this.plugin.requestSettingsSave();
+          });
+      });
 
-    const sections = root.querySelectorAll("[data-crossref-line-start][data-crossref-line-end]");
-    for (const section of sections) {
-      if (!(section instanceof HTMLElement)) {
-        continue;
-      }
+    new Setting(containerEl).setName("Numbering").setHeading();
+
+    new Setting(containerEl)
+      .setName("Numbering mode")
+      .setDesc("Prefix numbers with heading counters. Front matter number-sections, number-depth and crossref.chapters take precedence.")
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOption(NUMBERING_MODE_FLAT, "Flat (1, 2, 3)")
+          .addOption(NUMBERING_MODE_CHAPTER, "By chapter (2.1, 2.2)")
+          .addOption(NUMBERING_MODE_SECTION, "By section (2.3.1)")
+          .setValue(settings.numberingMode)
+          .onChange(async (value) => {
+            settings.numberingMode = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-      const start = Number(section.dataset.crossrefLineStart);
-      const end = Number(section.dataset.crossrefLineEnd);
-      if (!Number.isFinite(start) || !Number.isFinite(end)) {
-        continue;
-      }
+    new Setting(containerEl)
+      .setName("Theorem counters")
+      .setDesc("Number theorem-like blocks per prefix (Theorem 1, Lemma 1), with one shared counter (Theorem 1, Lemma 2), or by the groups below.")
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOption(THEOREM_COUNTER_PER_PREFIX, "Per prefix")
+          .addOption(THEOREM_COUNTER_SHARED, "One shared counter")
+          .addOption(THEOREM_COUNTER_GROUPS, "Counter groups")
+          .setValue(settings.theoremCounterScheme)
+          .onChange(async (value) => {
+            settings.theoremCounterScheme = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-      if (end < descriptor.lineStart || start > descriptor.lineEnd) {
-        continue;
-      }
+    new Setting(containerEl)
+      .setName("Counter groups")
+      .setDesc("One group per line; prefixes on a line share a counter, e.g. \"thm lem cor prp\".")
+      .addTextArea((text) => {
+        text
+          .setPlaceholder("thm lem cor prp\ndef exm exr")
+          .setValue(settings.theoremCounterGroups)
+          .onChange((value) => {
+            settings.theoremCounterGroups = value;
+            this.plugin.requestSettingsSave();
+          });
+      });
 
-      if (descriptor.kind === "equation") {
-        const eqHost = section.querySelector(
-          '[data-crossref-kind="equation"], .crossref-equation, .math.math-block, .math-block, mjx-container[display="true"]'
-        );
-        if (eqHost instanceof HTMLElement) {
-          return eqHost.closest("[data-crossref-target]") || eqHost;
-        }
-      } else if (descriptor.kind === "figure") {
-        const figHost = section.querySelector(
-          '[data-crossref-kind="figure"], .crossref-figure, figure, img'
-        );
-        if (figHost instanceof HTMLElement) {
-          return figHost.closest("[data-crossref-target]") || figHost;
-        }
-      } else {
-        const theoremHost = section.querySelector(
-          '[data-crossref-kind="theorem"], .crossref-theorem'
-        );
-        if (theoremHost instanceof HTMLElement) {
-          return theoremHost.closest("[data-crossref-target]") || theoremHost;
-        }
-      }
+    new Setting(containerEl)
+      .setName("Theorem numbering within")
+      .setDesc("Reset theorem counters per chapter or section independently of the numbering mode.")
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOption(THEOREM_NUMBER_WITHIN_DEFAULT, "Same as numbering mode")
+          .addOption(THEOREM_NUMBER_WITHIN_NONE, "Whole document")
+          .addOption(NUMBERING_MODE_CHAPTER, "Chapter")
+          .addOption(NUMBERING_MODE_SECTION, "Section")
+          .setValue(settings.theoremNumberWithin)
+          .onChange(async (value) => {
+            settings.theoremNumberWithin = value;
+            await this.plugin.saveSettings();
+          });
+      });
 
-      return section;
+    new Setting(containerEl)
+      .setName("Section depth")
+      .setDesc("Number of heading levels used in section mode.")
+      .addSlider((slider) => {
+        slider
+          .setLimits(1, MAX_HEADING_LEVEL, 1)
+          .setValue(settings.numberingDepth)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            settings.numberingDepth = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl).setName("Theorem names").setHeading();
+
+    new Setting(containerEl)
+      .setName("Load name preset")
+      .setDesc("Overwrite all theorem and proof names below with a built-in language preset.")
+      .addDropdown((dropdown) => {
+        dropdown
+          .addOption("", "Choose...")
+          .addOption("en", "English")
+          .addOption("zh", "中文")
+          .onChange(async (value) => {
+            const preset = THEOREM_NAME_PRESETS[value];
+            if (!preset) {
+              return;
+            }
+            settings.theoremNames = Object.assign({}, preset);
+            settings.proofNames = Object.assign({}, PROOF_NAME_PRESETS[value]);
+            settings.proofOfTemplate = PROOF_OF_TEMPLATE_PRESETS[value];
+            await this.plugin.saveSettings();
+            this.display();
+          });
+      });
+
+    for (const prefix of Object.keys(THEOREM_TITLES)) {
+      new Setting(containerEl).setName(`${prefix}-`).addText((text) => {
+        text
+          .setPlaceholder(THEOREM_TITLES[prefix])
+          .setValue(settings.theoremNames[prefix] || "")
+          .onChange((value) => {
+            settings.theoremNames[prefix] = value.trim() || THEOREM_TITLES[prefix];
+            this.plugin.requestSettingsSave();
+          });
+      });
     }
 
-    return null;
-  }
+    new Setting(containerEl).setName("Custom environments").setHeading();
 
-  cleanupOrphanFenceMarkers(root) {
-    const paragraphs = Array.from(root.querySelectorAll("p"));
-    for (const paragraph of paragraphs) {
-      if (paragraph.querySelector("img, .math, mjx-container, .crossref-theorem")) {
-        continue;
-      }
+    settings.customTheorems.forEach((entry, position) => {
+      const update = (key, value) => {
+        entry[key] = value;
+        this.plugin.requestSettingsSave();
+      };
 
-      const text = normalizeText(paragraph);
-      if (!THEOREM_END_PATTERN.test(text)) {
-        continue;
-      }
+      new Setting(containerEl)
+        .setName(entry.prefix ? `${entry.prefix}-` : "New environment")
+        .setDesc("Prefix, display name, counter and extra CSS class.")
+        .addText((text) => {
+          text.setPlaceholder("asm").setValue(entry.prefix || "");
+          // The prefix renames every label of the environment, so it is only committed once
+          // the field loses focus or Enter is pressed, and only when it is valid.
+          text.inputEl.addEventListener("change", async () => {
+            const prefix = text.getValue().trim().toLowerCase();
+            if (prefix === entry.prefix) {
+              return;
+            }
+            const others = settings.customTheorems
+              .filter((other) => other !== entry)
+              .map((other) => other.prefix);
+            const error = validateCustomTheoremPrefix(prefix, others);
+            if (error) {
+              new Notice(`Crossref Preview: ${error}`);
+              text.setValue(entry.prefix || "");
+              return;
+            }
+            entry.prefix = prefix;
+            await this.plugin.saveSettings();
+            this.display();
+          });
+        })
+        .addText((text) => {
+          text
+            .setPlaceholder("Assumption")
+            .setValue(entry.name || "")
+            .onChange((value) => update("name", value));
+        })
+        .addDropdown((dropdown) => {
+          dropdown.addOption("", "Own counter");
+          const prefixes = Object.keys(THEOREM_TITLES).concat(
+            settings.customTheorems
+              .map((other) => other.prefix)
+              .filter((prefix) => prefix && prefix !== entry.prefix)
+          );
+          for (const prefix of prefixes) {
+            dropdown.addOption(prefix, `Share with ${prefix}-`);
+          }
+          dropdown.setValue(entry.counter || "").onChange(async (value) => {
+            entry.counter = value;
+            await this.plugin.saveSettings();
+          });
+        })
+        .addText((text) => {
+          text
+            .setPlaceholder("CSS class")
+            .setValue(entry.cssClass || "")
+            .onChange((value) => update("cssClass", value));
+        })
+        .addExtraButton((button) => {
+          button
+            .setIcon("trash")
+            .setTooltip("Remove")
+            .onClick(async () => {
+              settings.customTheorems.splice(position, 1);
+              await this.plugin.saveSettings();
+              this.display();
+            });
+        });
+    });
 
-      const prev = paragraph.previousElementSibling;
-      if (prev && prev.classList.contains("crossref-theorem")) {
-        paragraph.remove();
-      }
-    }
-  }
+    new Setting(containerEl)
+      .setDesc("Register extra theorem-like prefixes, e.g. asm- for Assumption.")
+      .addButton((button) => {
+        button.setButtonText("Add environment").onClick(async () => {
+          settings.customTheorems.push({ prefix: "", name: "", counter: "", cssClass: "" });
+          await this.plugin.saveSettings();
+          this.display();
+        });
+      });
 
-  cleanupEmptyParagraphs(root) {
-    const paragraphs = Array.from(root.querySelectorAll("p"));
-    for (const paragraph of paragraphs) {
-      if (paragraph.querySelector("img, .math, mjx-container")) {
-        continue;
-      }
-      if ((paragraph.textContent || "").trim().length > 0) {
-        continue;
-      }
-      paragraph.remove();
-    }
-  }
+    new Setting(containerEl).setName("Proof blocks").setHeading();
 
-  collectTextNodes(root, predicate) {
-    const nodes = [];
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
-    let current = walker.nextNode();
-    while (current) {
-      if (predicate(current)) {
-        nodes.push(current);
-      }
-      current = walker.nextNode();
+    for (const blockClass of Object.keys(PROOF_TITLES)) {
+      new Setting(containerEl).setName(`.${blockClass}`).addText((text) => {
+        text
+          .setPlaceholder(PROOF_TITLES[blockClass])
+          .setValue(settings.proofNames[blockClass] || "")
+          .onChange((value) => {
+            settings.proofNames[blockClass] = value.trim() || PROOF_TITLES[blockClass];
+            this.plugin.requestSettingsSave();
+          });
+      });
     }
-    return nodes;
-  }
 
-  shouldSkipTextNode(textNode) {
-    const parent = textNode.parentElement;
-    if (!parent) {
-      return true;
-    }
+    new Setting(containerEl)
+      .setName("Link proofs to theorems")
+      .setDesc("Title a proof placed directly after a theorem as \"Proof of Theorem 3\".")
+      .addToggle((toggle) => {
+        toggle.setValue(settings.linkProofs).onChange(async (value) => {
+          settings.linkProofs = value;
+          await this.plugin.saveSettings();
+        });
+      });
 
-    return Boolean(
-      parent.closest(
-        "a, code, pre, .math, mjx-container, .cm-inline-code, .cm-formatting-code, .crossref-eq-number, .crossref-fig-number, .crossref-theorem-title"
-      )
-    );
-  }
+    new Setting(containerEl)
+      .setName("Linked proof title")
+      .setDesc("Placeholders: {name} for the block name, {target} for the theorem reference.")
+      .addText((text) => {
+        text
+          .setPlaceholder(PROOF_OF_TEMPLATE_PRESETS.en)
+          .setValue(settings.proofOfTemplate)
+          .onChange((value) => {
+            settings.proofOfTemplate = value.includes("{target}") ? value : PROOF_OF_TEMPLATE_PRESETS.en;
+            this.plugin.requestSettingsSave();
+          });
+      });
 
-  createFallbackDescriptor(label) {
-    const prefix = label.includes("-") ? label.split("-")[0] : "thm";
-    let kind = "theorem";
-    if (prefix === "eq") {
-      kind = "equation";
-    } else if (prefix === "fig") {
-      kind = "figure";
-    }
+    new Setting(containerEl)
+      .setName("QED symbol")
+      .setDesc("Appended to the end of proofs. Leave empty to hide it.")
+      .addText((text) => {
+        text.setValue(settings.qedSymbol).onChange((value) => {
+          settings.qedSymbol = value.trim();
+          this.plugin.requestSettingsSave();
+        });
+      });
 
-    return {
-      label,
-      prefix,
-      kind,
-      number: "?",
-      title: "",
-      lineStart: 0,
-      lineEnd: 0
-    };
+    new Setting(containerEl).setName("Navigation").setHeading();
+
+    new Setting(containerEl)
+      .setName("Smooth scroll")
+      .setDesc("Animate scrolling when jumping to a referenced target.")
+      .addToggle((toggle) => {
+        toggle.setValue(settings.smoothScroll).onChange(async (value) => {
+          settings.smoothScroll = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Flash target")
+      .setDesc("Briefly highlight the target after jumping to it.")
+      .addToggle((toggle) => {
+        toggle.setValue(settings.flashTarget).onChange(async (value) => {
+          settings.flashTarget = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Flash duration (ms)")
+      .addText((text) => {
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.flashDurationMs))
+          .setValue(String(settings.flashDurationMs))
+          .onChange((value) => {
+            const parsed = Number.parseInt(value, 10);
+            settings.flashDurationMs = Number.isFinite(parsed) && parsed >= 0
+              ? parsed
+              : DEFAULT_SETTINGS.flashDurationMs;
+            this.plugin.requestSettingsSave();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName("Hover preview")
+      .setDesc("Show the referenced equation, figure, table or theorem in a popover on hover.")
+      .addToggle((toggle) => {
+        toggle.setValue(settings.hoverPreview).onChange(async (value) => {
+          settings.hoverPreview = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl).setName("Diagnostics").setHeading();
+
+    new Setting(containerEl)
+      .setName("Report unused labels")
+      .setDesc("List labels that no note references when checking crossrefs.")
+      .addToggle((toggle) => {
+        toggle.setValue(settings.reportUnusedLabels).onChange(async (value) => {
+          settings.reportUnusedLabels = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl).setName("Debugging").setHeading();
+
+    new Setting(containerEl)
+      .setName("Debug logging")
+      .setDesc(`Log render decisions for one note to the console and ${DEBUG_LOG_RELATIVE_PATH}.`)
+      .addToggle((toggle) => {
+        toggle.setValue(settings.debugLogging).onChange(async (value) => {
+          settings.debugLogging = value;
+          await this.plugin.saveSettings();
+          if (value) {
+            await this.plugin.resetDebugLogFile();
+          }
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Debug note")
+      .setDesc("File name or vault path of the note to log.")
+      .addText((text) => {
+        text
+          .setPlaceholder(DEBUG_NOTE_BASENAME)
+          .setValue(settings.debugNoteName)
+          .onChange((value) => {
+            settings.debugNoteName = value.trim();
+            this.plugin.requestSettingsSave();
+          });
+      });
   }
 
-  cssEscape(value) {
-    if (typeof CSS !== "undefined" && CSS && typeof CSS.escape === "function") {
-      return CSS.escape(value);
+  addTemplateSettings(heading, description, key, kinds) {
+    const { containerEl } = this;
+    const templates = this.plugin.settings[key];
+
+    new Setting(containerEl).setName(heading).setDesc(description).setHeading();
+
+    for (const kind of kinds) {
+      new Setting(containerEl)
+        .setName(kind.charAt(0).toUpperCase() + kind.slice(1))
+        .addText((text) => {
+          text
+            .setPlaceholder(DEFAULT_SETTINGS[key][kind])
+            .setValue(templates[kind] || "")
+            .onChange((value) => {
+              templates[kind] = value.trim() ? value : DEFAULT_SETTINGS[key][kind];
+              this.plugin.requestSettingsSave();
+            });
+        });
     }
-    return String(value).replace(/([^\w-])/g, "\\$1");
   }
 }
 
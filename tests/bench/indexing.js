@@ -0,0 +1,87 @@
+"use strict";
+
+// Times a full parse against incremental updates on a synthetic note, so indexing changes
+// can be checked on notes the size of long lecture notes. Run from the repository root:
+//
+//   node tests/bench/indexing.js [sectionCount] [runs]
+
+const { performance } = require("perf_hooks");
+const { loadMain } = require("../helpers/load-main");
+
+const { parseBlockStructure, updateBlockStructure, parseCrossrefIndex } = loadMain([
+  "parseBlockStructure",
+  "updateBlockStructure",
+  "parseCrossrefIndex"
+]);
+
+const DEFAULT_SECTION_COUNT = 75;
+const DEFAULT_RUNS = 10;
+
+// A note shaped like long lecture notes (about 40 lines per section).
+function buildSyntheticNote(sectionCount) {
+  const lines = ["---", "title: Synthetic note", "---", ""];
+  for (let section = 1; section <= sectionCount; section += 1) {
+    const eq = `eq-s${section}`;
+    const thm = `thm-s${section}`;
+    lines.push(`# Section ${section} {#sec-s${section}}`, "");
+    lines.push(`Introduces @${eq}, [@fig-s${section}; @tbl-s${section}] and @${thm}.`, "");
+    lines.push("$$", `a_{${section}} = b_{${section}} + c`, `$$ {#${eq}}`, "");
+    lines.push(`::: {#${thm}}`, `## Result ${section}`, `The statement uses $x$ and @${eq}.`, ":::", "");
+    lines.push("::: proof", `Follows from @${eq}.`, ":::", "");
+    lines.push(`![Plot ${section}](plot-${section}.png){#fig-s${section}}`, "");
+    lines.push("| a | b |", "|---|---|", "| 1 | 2 |", "", `: Values ${section} {#tbl-s${section}}`, "");
+    lines.push("```python", `def step_${section}():`, "    return 1", "```", "");
+    for (let paragraph = 1; paragraph <= 5; paragraph += 1) {
+      lines.push(`Paragraph ${paragraph} with \`code\`, $y$ and a reference to @${eq}.`, "");
+    }
+  }
+  return lines.join("\n");
+}
+
+function readCount(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function main() {
+  const sectionCount = readCount(process.argv[2], DEFAULT_SECTION_COUNT);
+  const runs = readCount(process.argv[3], DEFAULT_RUNS);
+  const source = buildSyntheticNote(sectionCount);
+  const lines = source.split("\n");
+  const median = (run) => {
+    const samples = [];
+    for (let i = 0; i < runs; i += 1) {
+      const start = performance.now();
+      run(i);
+      samples.push(performance.now() - start);
+    }
+    samples.sort((a, b) => a - b);
+    return samples[Math.floor(samples.length / 2)];
+  };
+  let structure = parseBlockStructure(source);
+  parseCrossrefIndex(source, {}, structure);
+  const reindex = (next) => {
+    structure = updateBlockStructure(structure, next);
+    parseCrossrefIndex(next, {}, structure);
+  };
+
+  const full = median(() => parseCrossrefIndex(source));
+  const middle = lines.findIndex((text, line) => line >= lines.length / 2 && text.startsWith("Paragraph"));
+  const typing = median((run) => {
+    const edited = lines.slice();
+    edited[middle] += " x".repeat(run + 1);
+    reindex(edited.join("\n"));
+  });
+  const inserting = median((run) => {
+    const edited = lines.slice();
+    edited.splice(middle, 0, ...new Array(run + 1).fill("New line with @eq-s1."));
+    reindex(edited.join("\n"));
+  });
+
+  console.log(
+    `${lines.length}-line note, median of ${runs} runs: full parse ${full.toFixed(1)} ms, ` +
+      `typing ${typing.toFixed(1)} ms, inserting lines ${inserting.toFixed(1)} ms.`
+  );
+}
+
+main();
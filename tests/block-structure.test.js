@@ -0,0 +1,149 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { parseBlockStructure } = loadMain(["parseBlockStructure"]);
+
+function kinds(structure) {
+  return structure.lineInfo.map((info) => info.kind);
+}
+
+function divSpans(structure) {
+  return structure.divs.map((div) => {
+    return {
+      lineStart: div.lineStart,
+      lineEnd: div.lineEnd,
+      opener: div.opener,
+      implicitEnd: div.implicitEnd,
+      parent: div.parent ? div.parent.lineStart : null
+    };
+  });
+}
+
+test("front matter lines are not scanned", () => {
+  const structure = parseBlockStructure(["---", "title: $$ x $$", "---", "$$ y $$ {#eq-y}"].join("\n"));
+  assert.equal(structure.frontmatterEnd, 3);
+  assert.deepEqual(kinds(structure), ["frontmatter", "frontmatter", "frontmatter", "math"]);
+  assert.deepEqual(structure.maths, [{ lineStart: 3, lineEnd: 3, closed: true }]);
+});
+
+test("a fence inside a blockquote keeps its quote prefix and hides its content", () => {
+  const structure = parseBlockStructure(["> ```js", "> $$ x $$ {#eq-a}", "> ```", "> $$ y $$"].join("\n"));
+  assert.deepEqual(kinds(structure), ["fence", "code", "fence", "math"]);
+  assert.deepEqual(structure.fences, [
+    { lineStart: 0, lineEnd: 2, marker: "`", length: 3, info: "js", quoted: true }
+  ]);
+  assert.equal(structure.lineInfo[1].prefix, "> ");
+  assert.equal(structure.lineInfo[1].content, "  $$ x $$ {#eq-a}");
+  assert.deepEqual(structure.maths, [{ lineStart: 3, lineEnd: 3, closed: true }]);
+});
+
+test("an unclosed fence runs to the end of the note", () => {
+  const structure = parseBlockStructure(["~~~~", "::: {#thm-a}", "~~~", "text"].join("\n"));
+  assert.deepEqual(kinds(structure), ["fence", "code", "code", "code"]);
+  assert.equal(structure.fences[0].lineEnd, 3);
+  assert.deepEqual(structure.divs, []);
+});
+
+test("callouts and list items can hold display math", () => {
+  const structure = parseBlockStructure([
+    "> [!note] Callout",
+    "> $$",
+    "> a = b",
+    "> $$ {#eq-callout}",
+    "",
+    "- $$ c = d $$ {#eq-item}",
+    "  $$ e = f $$ {#eq-continued}"
+  ].join("\n"));
+  assert.deepEqual(kinds(structure), ["text", "math", "math", "math", "blank", "math", "math"]);
+  assert.deepEqual(structure.maths, [
+    { lineStart: 1, lineEnd: 3, closed: true },
+    { lineStart: 5, lineEnd: 5, closed: true },
+    { lineStart: 6, lineEnd: 6, closed: true }
+  ]);
+  assert.equal(structure.lineInfo[3].content, "  $$ {#eq-callout}");
+  assert.equal(structure.lineInfo[5].prefix, "- ");
+  assert.equal(structure.lineInfo[5].content, "  $$ c = d $$ {#eq-item}");
+});
+
+test("an unclosed display math block is marked as such", () => {
+  const structure = parseBlockStructure(["$$", "x", "y"].join("\n"));
+  assert.deepEqual(structure.maths, [{ lineStart: 0, lineEnd: 2, closed: false }]);
+});
+
+test("comments spanning lines are blanked out", () => {
+  const structure = parseBlockStructure([
+    "before <!-- start",
+    "$$ x $$ {#eq-hidden}",
+    "end --> after @eq-a",
+    "%% one",
+    "::: {#thm-hidden}",
+    "%%",
+    "text %% inline %% more"
+  ].join("\n"));
+  assert.deepEqual(kinds(structure), ["text", "comment", "text", "comment", "comment", "comment", "text"]);
+  assert.equal(structure.lineInfo[0].content, `before ${" ".repeat("<!-- start".length)}`);
+  assert.equal(structure.lineInfo[2].content, `${" ".repeat("end -->".length)} after @eq-a`);
+  assert.equal(structure.lineInfo[6].content, `text ${" ".repeat("%% inline %%".length)} more`);
+  assert.deepEqual(structure.maths, []);
+  assert.deepEqual(structure.divs, []);
+});
+
+test("nested divs record their parent and close innermost first", () => {
+  const structure = parseBlockStructure([
+    "::: {#fig-panel layout-ncol=2}",
+    "::: {.column}",
+    "![A](a.png){#fig-panel-a}",
+    ":::",
+    "Caption",
+    ":::"
+  ].join("\n"));
+  assert.deepEqual(kinds(structure), ["div-open", "div-open", "text", "div-close", "text", "div-close"]);
+  assert.deepEqual(divSpans(structure), [
+    { lineStart: 0, lineEnd: 5, opener: "::: {#fig-panel layout-ncol=2}", implicitEnd: false, parent: null },
+    { lineStart: 1, lineEnd: 3, opener: "::: {.column}", implicitEnd: false, parent: 0 }
+  ]);
+  assert.equal(structure.lineInfo[2].div, structure.divs[1]);
+  assert.equal(structure.lineInfo[4].div, structure.divs[0]);
+  assert.equal(structure.divAt(1), structure.divs[1]);
+  assert.equal(structure.divAt(2), null);
+});
+
+test("a theorem div opened directly inside another theorem div closes it", () => {
+  const structure = parseBlockStructure([
+    "::: {#thm-first}",
+    "First",
+    "::: {#lem-second}",
+    "Second",
+    ":::"
+  ].join("\n"));
+  assert.deepEqual(divSpans(structure), [
+    { lineStart: 0, lineEnd: 1, opener: "::: {#thm-first}", implicitEnd: true, parent: null },
+    { lineStart: 2, lineEnd: 4, opener: "::: {#lem-second}", implicitEnd: false, parent: null }
+  ]);
+});
+
+test("a proof div nests inside a theorem div", () => {
+  const structure = parseBlockStructure([
+    "::: {#thm-a}",
+    "Claim",
+    "::: {.proof}",
+    "Because",
+    ":::",
+    ":::"
+  ].join("\n"));
+  assert.deepEqual(divSpans(structure), [
+    { lineStart: 0, lineEnd: 5, opener: "::: {#thm-a}", implicitEnd: false, parent: null },
+    { lineStart: 2, lineEnd: 4, opener: "::: {.proof}", implicitEnd: false, parent: 0 }
+  ]);
+});
+
+test("lines outside any block are marked as top-level", () => {
+  const structure = parseBlockStructure(["a", "```", "b", "```", "::: {.x}", "c", ":::", "d"].join("\n"));
+  assert.deepEqual(
+    structure.lineInfo.map((info) => info.top),
+    [true, true, false, false, true, false, false, true]
+  );
+});
@@ -0,0 +1,167 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { parseCrossrefIndex, compileLabelPatterns, validateCustomTheoremPrefix } = loadMain([
+  "parseCrossrefIndex",
+  "compileLabelPatterns",
+  "validateCustomTheoremPrefix"
+]);
+
+function summarize(index) {
+  return Array.from(index.labels.values()).map((descriptor) => {
+    return [descriptor.label, descriptor.number, descriptor.lineStart, descriptor.lineEnd];
+  });
+}
+
+const FIXTURE = [
+  "> [!note] Callout",          // 0
+  "> $$",                       // 1
+  "> a = b",                    // 2
+  "> $$ {#eq-callout}",         // 3
+  "",                           // 4
+  "- item with math",           // 5
+  "  $$ c = d $$ {#eq-list}",   // 6
+  "",                           // 7
+  "<!-- hidden",                // 8
+  "$$ x $$ {#eq-hidden}",       // 9
+  "-->",                        // 10
+  "%% also",                    // 11
+  "@eq-callout in a comment",   // 12
+  "%%",                         // 13
+  "> ```",                      // 14
+  "> $$ y $$ {#eq-code}",       // 15
+  "> ```",                      // 16
+  "::: {#thm-outer}",           // 17
+  "Outer body",                 // 18
+  "::: {.proof}",               // 19
+  "Proof using @eq-list.",      // 20
+  ":::",                        // 21
+  "::: {#lem-next}",            // 22
+  "## Named lemma",             // 23
+  "Lemma body",                 // 24
+  ":::",                        // 25
+  "",                           // 26
+  "::: {#fig-panel layout-ncol=2}", // 27
+  "::: {.column}",              // 28
+  "![A](a.png){#fig-panel-a}",  // 29
+  ":::",                        // 30
+  "Panel caption",              // 31
+  ":::",                        // 32
+  "See @eq-callout, `@eq-code`, [@thm-outer; @lem-next]." // 33
+].join("\n");
+
+test("labels inside callouts, list items and nested divs are indexed; hidden ones are not", () => {
+  const index = parseCrossrefIndex(FIXTURE);
+  assert.deepEqual(summarize(index), [
+    ["eq-callout", 1, 1, 3],
+    ["eq-list", 2, 6, 6],
+    ["fig-panel", 1, 27, 32],
+    ["fig-panel-a", 1, 29, 29],
+    ["thm-outer", 1, 17, 21],
+    ["lem-next", 1, 22, 25]
+  ]);
+  assert.equal(index.labels.get("fig-panel-a").parent, "fig-panel");
+  assert.equal(index.labels.get("fig-panel").caption, "Panel caption");
+});
+
+test("an implicitly closed theorem takes its first body line as title; headings name the rest", () => {
+  const index = parseCrossrefIndex(FIXTURE);
+  assert.equal(index.labels.get("thm-outer").title, "Outer body");
+  assert.equal(index.labels.get("lem-next").title, "Named lemma");
+  assert.deepEqual(index.proofs.map((proof) => [proof.lineStart, proof.lineEnd]), [[19, 21]]);
+});
+
+test("references skip comments and inline code", () => {
+  const index = parseCrossrefIndex(FIXTURE);
+  assert.deepEqual(
+    index.references.map((reference) => [reference.line, reference.raw]),
+    [
+      [20, "@eq-list"],
+      [33, "@eq-callout"],
+      [33, "[@thm-outer; @lem-next]"]
+    ]
+  );
+});
+
+test("duplicate and malformed labels are reported, not numbered", () => {
+  const index = parseCrossrefIndex([
+    "$$ a $$ {#eq-a}",
+    "$$ b $$ {#eq-a}",
+    "$$ c $$ {#eq-b.c}",
+    "```",
+    "$$ d $$ {#eq-d.e}",
+    "```"
+  ].join("\n"));
+  assert.deepEqual(summarize(index), [["eq-a", 1, 0, 0]]);
+  assert.deepEqual(index.duplicates.map((duplicate) => [duplicate.label, duplicate.lineStart, duplicate.firstLine]), [
+    ["eq-a", 1, 0]
+  ]);
+  assert.deepEqual(index.invalidLabels, [{ label: "eq-b.c", line: 2, ch: 10 }]);
+});
+
+test("section numbering follows headings outside blocks only", () => {
+  const index = parseCrossrefIndex([
+    "# One {#sec-one}",
+    "$$ a $$ {#eq-a}",
+    "> # Quoted heading",
+    "```",
+    "# Not a heading",
+    "```",
+    "# Two {#sec-two}",
+    "$$ b $$ {#eq-b}"
+  ].join("\n"), { sectionDepth: 1 });
+  assert.deepEqual(
+    Array.from(index.labels.values())
+      .sort((a, b) => a.lineStart - b.lineStart)
+      .map((descriptor) => [descriptor.label, descriptor.section, descriptor.number]),
+    [
+      ["sec-one", "", 1],
+      ["eq-a", "1", 1],
+      ["sec-two", "", 2],
+      ["eq-b", "2", 1]
+    ]
+  );
+});
+
+test("unnumbered sections are targets without taking a number", () => {
+  const index = parseCrossrefIndex([
+    "# Intro {#sec-intro}",
+    "## Appendix {#sec-app .unnumbered}",
+    "## Notes {#sec-notes -}",
+    "# Methods {#sec-methods}",
+    "$$ a $$ {#eq-a}",
+    "See @sec-app."
+  ].join("\n"), { sectionDepth: 1 });
+  const sections = ["sec-intro", "sec-app", "sec-notes", "sec-methods"].map((label) => index.labels.get(label));
+  assert.deepEqual(
+    sections.map((descriptor) => [descriptor.label, descriptor.number, Boolean(descriptor.unnumbered), descriptor.title]),
+    [
+      ["sec-intro", 1, false, "Intro"],
+      ["sec-app", 0, true, "Appendix"],
+      ["sec-notes", 0, true, "Notes"],
+      ["sec-methods", 2, false, "Methods"]
+    ]
+  );
+  assert.equal(index.labels.get("eq-a").section, "2");
+});
+
+test("custom environment prefixes are only recognised through the patterns passed in", () => {
+  const source = ["::: {#ax-one}", "Body", ":::", "", "See @ax-one."].join("\n");
+  const patterns = compileLabelPatterns([{ prefix: "ax", title: "Axiom", counter: "ax" }]);
+  const index = parseCrossrefIndex(source, { patterns });
+  assert.deepEqual(summarize(index), [["ax-one", 1, 0, 2]]);
+  assert.equal(index.labels.get("ax-one").kind, "theorem");
+  assert.equal(parseCrossrefIndex(source).labels.size, 0);
+});
+
+test("custom environment prefixes must be new lowercase identifiers", () => {
+  assert.equal(validateCustomTheoremPrefix("asm", ["hyp"]), "");
+  assert.notEqual(validateCustomTheoremPrefix("As", []), "");
+  assert.notEqual(validateCustomTheoremPrefix("a-b", []), "");
+  assert.notEqual(validateCustomTheoremPrefix("thm", []), "");
+  assert.notEqual(validateCustomTheoremPrefix("eq", []), "");
+  assert.notEqual(validateCustomTheoremPrefix("hyp", ["hyp"]), "");
+});
@@ -0,0 +1,28 @@
+"use strict";
+
+const fs = require("fs");
+const Module = require("module");
+const path = require("path");
+
+const MAIN_PATH = path.join(__dirname, "..", "..", "main.js");
+const obsidian = require("./obsidian");
+
+// main.js only exports the plugin class, so the functions under test are appended to its
+// exports before it is compiled. `obsidian` resolves to the stub; the CodeMirror packages are
+// left unresolvable, which main.js already tolerates.
+function loadMain(names) {
+  const source = `${fs.readFileSync(MAIN_PATH, "utf8")}\nmodule.exports.__test = { ${names.join(", ")} };\n`;
+  const mod = new Module(MAIN_PATH, module);
+  mod.filename = MAIN_PATH;
+  mod.paths = [];
+  mod.require = (id) => {
+    if (id === "obsidian") {
+      return obsidian;
+    }
+    throw new Error(`Cannot find module '${id}'`);
+  };
+  mod._compile(source, MAIN_PATH);
+  return mod.exports.__test;
+}
+
+module.exports = { loadMain };
@@ -0,0 +1,50 @@
+"use strict";
+
+// Just enough of the `obsidian` module for main.js to load under Node. Tests only call the
+// module-level parsing functions, so the classes never need to do anything.
+class Stub {
+  constructor(app) {
+    this.app = app;
+  }
+}
+
+class Events {
+  constructor() {
+    this.handlers = [];
+  }
+
+  on(name, callback, context) {
+    const ref = { name, callback, context };
+    this.handlers.push(ref);
+    return ref;
+  }
+
+  offref(ref) {
+    this.handlers = this.handlers.filter((handler) => handler !== ref);
+  }
+
+  trigger(name, ...args) {
+    for (const handler of this.handlers.filter((entry) => entry.name === name)) {
+      handler.callback.apply(handler.context, args);
+    }
+  }
+}
+
+module.exports = {
+  Events,
+  EditorSuggest: Stub,
+  FuzzySuggestModal: Stub,
+  HoverPopover: Stub,
+  ItemView: Stub,
+  MarkdownRenderer: {},
+  MarkdownView: Stub,
+  Modal: Stub,
+  Notice: Stub,
+  Plugin: Stub,
+  PluginSettingTab: Stub,
+  Setting: Stub,
+  SuggestModal: Stub,
+  debounce: (callback) => callback,
+  editorInfoField: null,
+  editorLivePreviewField: null
+};
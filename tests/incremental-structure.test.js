@@ -0,0 +1,143 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { parseBlockStructure, updateBlockStructure, parseCrossrefIndex } = loadMain([
+  "parseBlockStructure",
+  "updateBlockStructure",
+  "parseCrossrefIndex"
+]);
+
+// Every kind of block the tokenizer knows, so random edits open and close all of them.
+const SNIPPETS = [
+  "$$", "$$ x $$ {#eq-z}", "```", "~~~", "```{.py #lst-q}", ":::", "::: {#thm-z}", "::: {.proof}",
+  "::: {#fig-w}", "<!--", "-->", "%%", "> $$", "> ```", "> quote @eq-z", "- item @thm-z", "",
+  "text @eq-z", "# Head {#sec-z}", "{#eq-y}", "![c](x.png){#fig-v}", "| a |", "|---|",
+  ": cap {#tbl-u}", "---"
+];
+
+function buildNote(sectionCount) {
+  const lines = ["---", "title: Fixture", "---", ""];
+  for (let i = 1; i <= sectionCount; i += 1) {
+    lines.push(
+      `# Section ${i} {#sec-s${i}}`,
+      "",
+      `$$ a_${i} = b $$ {#eq-s${i}}`,
+      "",
+      "> [!note]",
+      `> $$ c_${i} $$ {#eq-q${i}}`,
+      "",
+      `::: {#thm-s${i}}`,
+      "Statement.",
+      "::: {.proof}",
+      `By @eq-s${i} and @eq-q${i}.`,
+      ":::",
+      ":::",
+      "",
+      "```js",
+      `const x = "@eq-s${i}";`,
+      "```",
+      "",
+      `![Plot ${i}](p${i}.png){#fig-s${i}}`,
+      "",
+      "<!-- a comment",
+      `@thm-s${i}`,
+      "-->",
+      ""
+    );
+  }
+  return lines;
+}
+
+function describe(structure) {
+  return {
+    lines: structure.lineInfo.map((info) => {
+      return [info.kind, info.content, info.prefix, info.top, info.div ? info.div.lineStart : -1];
+    }),
+    fences: structure.fences.map((block) => [block.lineStart, block.lineEnd, block.info]),
+    maths: structure.maths.map((block) => [block.lineStart, block.lineEnd, block.closed]),
+    divs: structure.divs.map((block) => {
+      return [block.lineStart, block.lineEnd, block.opener, block.implicitEnd, block.parent ? block.parent.lineStart : -1];
+    }),
+    frontmatterEnd: structure.frontmatterEnd
+  };
+}
+
+function serializeIndex(index) {
+  return JSON.stringify(index, (_key, value) => (value instanceof Map ? Array.from(value.entries()) : value));
+}
+
+function createRandom(seed) {
+  let state = seed;
+  return (limit) => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state % limit;
+  };
+}
+
+test("an unchanged note reuses the previous structure", () => {
+  const source = buildNote(2).join("\n");
+  const structure = parseBlockStructure(source);
+  assert.equal(updateBlockStructure(structure, source), structure);
+});
+
+test("editing a line inside a block matches a full reparse", () => {
+  const lines = buildNote(3);
+  const previous = parseBlockStructure(lines.join("\n"));
+  lines.splice(lines.indexOf("Statement."), 0, "::: {#lem-inner}");
+  const source = lines.join("\n");
+  assert.deepEqual(describe(updateBlockStructure(previous, source)), describe(parseBlockStructure(source)));
+});
+
+test("random edits give the same structure and index as a full reparse", () => {
+  const random = createRandom(12345);
+  const base = buildNote(8);
+  for (let run = 0; run < 20; run += 1) {
+    const lines = base.slice();
+    let structure = parseBlockStructure(lines.join("\n"));
+    for (let step = 0; step < 30; step += 1) {
+      const at = random(lines.length + 1);
+      switch (random(4)) {
+        case 0:
+          lines.splice(at, 0, SNIPPETS[random(SNIPPETS.length)]);
+          break;
+        case 1:
+          if (lines.length > 1) {
+            lines.splice(Math.min(at, lines.length - 1), 1 + random(3));
+          }
+          break;
+        case 2:
+          if (at < lines.length) {
+            lines[at] += SNIPPETS[random(SNIPPETS.length)];
+          }
+          break;
+        default:
+          lines.splice(at, 0, ...SNIPPETS.slice(random(10), 10 + random(10)));
+      }
+
+      const source = lines.join("\n");
+      const updated = updateBlockStructure(structure, source);
+      const full = parseBlockStructure(source);
+      const where = `run ${run}, step ${step}`;
+      assert.deepEqual(describe(updated), describe(full), where);
+      assert.equal(
+        serializeIndex(parseCrossrefIndex(source, { sectionDepth: 1 }, updated)),
+        serializeIndex(parseCrossrefIndex(source, { sectionDepth: 1 }, full)),
+        where
+      );
+      structure = updated;
+    }
+  }
+});
+
+test("the previous structure is left untouched", () => {
+  const lines = buildNote(2);
+  const source = lines.join("\n");
+  const previous = parseBlockStructure(source);
+  const before = describe(previous);
+  lines.splice(10, 0, "$$", "open");
+  updateBlockStructure(previous, lines.join("\n"));
+  assert.deepEqual(describe(previous), before);
+});
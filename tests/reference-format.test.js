@@ -0,0 +1,57 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { parseCrossrefIndex, findReferenceTokens, formatReferenceSegments, descriptorDisplay, DEFAULT_SETTINGS } =
+  loadMain(["parseCrossrefIndex", "findReferenceTokens", "formatReferenceSegments", "descriptorDisplay", "DEFAULT_SETTINGS"]);
+
+function render(source, text) {
+  const index = parseCrossrefIndex(source, { sectionDepth: 1 });
+  return findReferenceTokens(text)
+    .map((token) => {
+      const items = token.items.map((item) => {
+        return Object.assign({}, item, { descriptor: index.labels.get(item.label) || null, filePath: "note.md" });
+      });
+      return formatReferenceSegments(items, () => DEFAULT_SETTINGS).map((segment) => segment.text).join("");
+    });
+}
+
+const SOURCE = [
+  "# Intro {#sec-intro}",
+  "## Background {#sec-background}",
+  "# Appendix {#sec-app .unnumbered}",
+  "# Methods {#sec-methods}"
+].join("\n");
+
+test("an unnumbered section is referred to by its heading text", () => {
+  assert.deepEqual(render(SOURCE, "@sec-app"), ["Appendix"]);
+  assert.equal(descriptorDisplay(parseCrossrefIndex(SOURCE).labels.get("sec-app")), "Appendix");
+});
+
+test("unnumbered sections stand apart from numbered ones in a group", () => {
+  assert.deepEqual(render(SOURCE, "[@sec-intro; @sec-app; @sec-methods]"), ["Section 1; Appendix; Section 2"]);
+  assert.deepEqual(render(SOURCE, "[see @sec-app]"), ["see Appendix"]);
+});
+
+test("numbered references are unaffected", () => {
+  assert.deepEqual(render(SOURCE, "[@sec-intro; @sec-methods]"), ["Sections 1, 2"]);
+  assert.deepEqual(render(SOURCE, "@sec-background"), ["Section 1.1"]);
+});
+
+test("only three or more consecutive numbers collapse into a range", () => {
+  const source = ["# A {#sec-a}", "# B {#sec-b}", "# C {#sec-c}", "# D {#sec-d}", "# E {#sec-e}"].join("\n");
+  assert.deepEqual(render(source, "[@sec-a; @sec-b; @sec-c; @sec-e]"), ["Sections 1–3, 5"]);
+  assert.deepEqual(render(source, "[@sec-a; @sec-b; @sec-d; @sec-e]"), ["Sections 1, 2, 4, 5"]);
+});
+
+test("quoted note names may contain spaces", () => {
+  const [bare, quoted] = findReferenceTokens('See @ch2#eq-a and [@"Chapter 2"#eq-b; @eq-c].');
+  assert.equal(bare.items[0].notePath, "ch2");
+  assert.deepEqual(
+    quoted.items.map((item) => [item.noteText, item.notePath, item.label]),
+    [['"Chapter 2"', "Chapter 2", "eq-b"], ["", "", "eq-c"]]
+  );
+  assert.deepEqual(findReferenceTokens('@"Chapter 2" and @"Chapter#eq-b"'), []);
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { CrossrefPreviewPlugin } = loadMain(["CrossrefPreviewPlugin"]);
+
+// Only the snapshot methods are exercised, so the plugin is built without `onload`.
+function createPlugin(files, openPaths = []) {
+  const plugin = Object.create(CrossrefPreviewPlugin.prototype);
+  plugin.snapshots = new Map();
+  plugin.snapshotVersion = 0;
+  plugin.getCachedIndex = () => null;
+  plugin.app = {
+    vault: {
+      getAbstractFileByPath: (path) => (path in files ? { path, extension: "md" } : null),
+      cachedRead: async (file) => files[file.path]
+    },
+    workspace: {
+      getLeavesOfType: () => {
+        return openPaths.map((path) => ({
+          view: { file: { path }, editor: { getValue: () => files[path] } }
+        }));
+      }
+    }
+  };
+  return plugin;
+}
+
+test("disk snapshots keep no text of their own", async () => {
+  const files = { "a.md": "first" };
+  const plugin = createPlugin(files);
+
+  assert.equal(await plugin.readCurrentSource("a.md"), "first");
+  const snapshot = plugin.snapshots.get("a.md");
+  assert.equal(snapshot.origin, "disk");
+  assert.equal(snapshot.source, null);
+
+  assert.equal(await plugin.readCurrentSource("a.md"), "first");
+  assert.equal(plugin.snapshots.get("a.md"), snapshot);
+});
+
+test("only a vault event gives a disk snapshot its next version", async () => {
+  const files = { "a.md": "first" };
+  const plugin = createPlugin(files);
+
+  await plugin.readCurrentSource("a.md");
+  const before = plugin.snapshots.get("a.md");
+  files["a.md"] = "second";
+  assert.equal(await plugin.readCurrentSource("a.md"), "second");
+  assert.equal(plugin.snapshots.get("a.md"), before);
+
+  plugin.recordDiskChange("a.md");
+  assert.ok(plugin.snapshots.get("a.md").version > before.version);
+  assert.equal(await plugin.readCurrentSource("a.md"), "second");
+});
+
+test("editor snapshots pin their text until the editor closes", async () => {
+  const files = { "a.md": "saved" };
+  const openPaths = ["a.md"];
+  const plugin = createPlugin(files, openPaths);
+
+  plugin.getEditorSourceIndex("a.md", "typed");
+  const snapshot = plugin.snapshots.get("a.md");
+  assert.equal(await plugin.readCurrentSource("a.md"), "typed");
+
+  plugin.releaseClosedEditorSnapshots();
+  assert.equal(snapshot.source, "typed");
+
+  openPaths.length = 0;
+  plugin.releaseClosedEditorSnapshots();
+  assert.equal(snapshot.origin, "disk");
+  assert.equal(snapshot.source, null);
+  assert.equal(await plugin.readCurrentSource("a.md"), "saved");
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./helpers/load-main");
+
+const { CrossrefPreviewPlugin } = loadMain(["CrossrefPreviewPlugin"]);
+
+// Only the index methods are exercised, so the plugin is built without `onload`.
+function createPlugin() {
+  const plugin = Object.create(CrossrefPreviewPlugin.prototype);
+  plugin.indexCache = new Map();
+  plugin.vaultLabelPaths = new Map();
+  plugin.incomingReferences = new Map();
+  plugin.noteStructures = new Map();
+  plugin.snapshots = new Map();
+  plugin.apiEvents = { trigger: () => {} };
+  plugin.settings = { theoremCounterScheme: "", crossFileScope: "", customTheorems: [] };
+  plugin.applyCustomTheorems();
+  plugin.getDocumentFormat = () => ({});
+  plugin.isDebugSource = () => false;
+  return plugin;
+}
+
+test("each note's index is kept once and found by label", () => {
+  const plugin = createPlugin();
+  const index = plugin.getCachedIndex("a.md", "$$ x $$ {#eq-a}");
+
+  assert.equal(plugin.getVaultIndexEntry("a.md"), index);
+  assert.deepEqual(plugin.findVaultLabelPaths("eq-a", "b.md"), ["a.md"]);
+  assert.equal(plugin.getCachedIndex("a.md", "$$ x $$ {#eq-a}"), index);
+
+  plugin.getCachedIndex("a.md", "$$ x $$ {#eq-b}");
+  assert.deepEqual(plugin.findVaultLabelPaths("eq-a", "b.md"), []);
+  assert.deepEqual(plugin.findVaultLabelPaths("eq-b", "b.md"), ["a.md"]);
+
+  assert.equal(plugin.removeVaultIndexEntry("a.md"), true);
+  assert.equal(plugin.getVaultIndexEntry("a.md"), null);
+  assert.deepEqual(plugin.findVaultLabelPaths("eq-b", "b.md"), []);
+});
+
+test("only references that need another note wait for the vault index", async () => {
+  const plugin = createPlugin();
+  let builds = 0;
+  plugin.ensureVaultIndex = async () => {
+    builds += 1;
+  };
+  const index = plugin.getCachedIndex("a.md", "$$ x $$ {#eq-a}");
+
+  await plugin.waitForVaultLabels([{ label: "eq-a", notePath: "" }], index, "a.md");
+  assert.equal(builds, 0);
+  await plugin.waitForVaultLabels([{ label: "eq-b", notePath: "" }], index, "a.md");
+  assert.equal(builds, 1);
+
+  plugin.vaultIndexReady = true;
+  await plugin.waitForVaultLabels([{ label: "eq-b", notePath: "" }], index, "a.md");
+  assert.equal(builds, 1);
+});